@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { runBalanceBatch, MAX_BATCH_SIZE } from '@/lib/batch';
+
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const items = Array.isArray(body) ? body : body?.items;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return NextResponse.json({ error: 'Request body must contain a non-empty items array' }, { status: 400 });
+    }
+
+    if (items.length > MAX_BATCH_SIZE) {
+      return NextResponse.json({ error: `Batch is limited to ${MAX_BATCH_SIZE} items` }, { status: 400 });
+    }
+
+    const batch = await runBalanceBatch(items);
+    return NextResponse.json(batch);
+
+  } catch (error) {
+    console.error('Batch API Error:', error);
+    return NextResponse.json({ error: error.message || 'Internal Server Error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,21 @@
+import { NextResponse } from 'next/server';
+import { getPeriodReport, parseLedgerRequest } from '@/lib/transactions';
+
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { params, error } = parseLedgerRequest(body);
+
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const report = await getPeriodReport(params);
+
+    return NextResponse.json({ startDate: body.startDate, endDate: body.endDate, ...report });
+
+  } catch (error) {
+    console.error('Report API Error:', error);
+    return NextResponse.json({ error: error.message || 'Internal Server Error' }, { status: 500 });
+  }
+}
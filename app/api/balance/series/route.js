@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+import { validateLookupTarget } from '@/lib/balance';
+import { getBalanceSeries, buildSampleTimestamps, SERIES_INTERVALS, MAX_SERIES_POINTS } from '@/lib/series';
+
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    let { address, chain = 'ethereum', network = 'mainnet', tokenAddress, startDate, endDate, interval = 'daily' } = body;
+
+    if (!address || !startDate || !endDate) {
+      return NextResponse.json({ error: 'Address, Start Date and End Date are required' }, { status: 400 });
+    }
+
+    if (!SERIES_INTERVALS.includes(interval)) {
+      return NextResponse.json({ error: `Interval must be one of: ${SERIES_INTERVALS.join(', ')}` }, { status: 400 });
+    }
+
+    // Clean inputs
+    address = address.trim();
+    if (tokenAddress) tokenAddress = tokenAddress.trim();
+
+    const targetError = validateLookupTarget({ address, chain, network, tokenAddress });
+    if (targetError) {
+      return NextResponse.json({ error: targetError }, { status: 400 });
+    }
+
+    const startTs = Math.floor(new Date(startDate).getTime() / 1000);
+    const endTs = Math.floor(new Date(endDate).getTime() / 1000);
+
+    if (isNaN(startTs) || isNaN(endTs)) {
+      return NextResponse.json({ error: 'Invalid Date' }, { status: 400 });
+    }
+
+    if (startTs > endTs) {
+      return NextResponse.json({ error: 'Start Date must be before End Date' }, { status: 400 });
+    }
+
+    const timestamps = buildSampleTimestamps(startTs, endTs, interval);
+    if (timestamps.length > MAX_SERIES_POINTS) {
+      return NextResponse.json({ error: `Too many points, series is limited to ${MAX_SERIES_POINTS}. Use a larger interval.` }, { status: 400 });
+    }
+
+    const series = await getBalanceSeries({ address, chain, network, tokenAddress, timestamps });
+
+    return NextResponse.json({
+      chain,
+      network,
+      address,
+      tokenAddress,
+      interval,
+      ...series
+    });
+
+  } catch (error) {
+    console.error('Series API Error:', error);
+    return NextResponse.json({ error: error.message || 'Internal Server Error' }, { status: 500 });
+  }
+}
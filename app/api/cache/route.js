@@ -0,0 +1,49 @@
+import { NextResponse } from 'next/server';
+import { CACHE_STORES, getCacheStats, invalidateCache } from '@/lib/cache';
+
+// GET /api/cache
+// Entry counts for the local block and balance cache.
+export async function GET() {
+  try {
+    return NextResponse.json(await getCacheStats());
+  } catch (error) {
+    console.error('Cache API Error:', error);
+    return NextResponse.json({ error: error.message || 'Internal Server Error' }, { status: 500 });
+  }
+}
+
+// DELETE /api/cache?store=&chain=&network=&address=&tokenAddress=&fromBlock=
+// Drops matching cache entries; with no filters the whole cache is cleared.
+// tokenAddress=native matches native balances only. fromBlock drops entries at or
+// above a block, e.g. after a reorg.
+export async function DELETE(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const store = searchParams.get('store') || undefined;
+    const fromBlockParam = searchParams.get('fromBlock');
+    const fromBlock = fromBlockParam ? Number(fromBlockParam) : undefined;
+
+    if (store && !CACHE_STORES.includes(store)) {
+      return NextResponse.json({ error: `Store must be one of: ${CACHE_STORES.join(', ')}` }, { status: 400 });
+    }
+
+    if (fromBlock !== undefined && (!Number.isInteger(fromBlock) || fromBlock < 0)) {
+      return NextResponse.json({ error: 'fromBlock must be a block number' }, { status: 400 });
+    }
+
+    const removed = await invalidateCache({
+      store,
+      chain: searchParams.get('chain') || undefined,
+      network: searchParams.get('network') || undefined,
+      address: searchParams.get('address') || undefined,
+      tokenAddress: searchParams.get('tokenAddress') || undefined,
+      fromBlock
+    });
+
+    return NextResponse.json({ removed });
+
+  } catch (error) {
+    console.error('Cache API Error:', error);
+    return NextResponse.json({ error: error.message || 'Internal Server Error' }, { status: 500 });
+  }
+}
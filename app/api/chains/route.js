@@ -0,0 +1,6 @@
+import { NextResponse } from 'next/server';
+import { listChains } from '@/lib/chains';
+
+export async function GET() {
+  return NextResponse.json({ chains: listChains() });
+}
@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import { getJournalAccounts, getWalletAccount } from '@/lib/accounts';
+import { EXPORT_FORMATS, toExportCsv } from '@/lib/exports';
+
+// `data` is a response of /api/balance (kind 'balance') or /api/balance/transactions
+// ('movements'), serialised as returned without looking anything up again
+function validateExportData(kind, data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return 'data must be a balance result or transaction ledger';
+  if (!data.chain || !data.network || !data.address) return 'data must carry chain, network and address';
+  if (kind === 'movements' && !Array.isArray(data.movements)) return 'data.movements must be an array';
+  if (kind === 'balance' && !Array.isArray(data.holdings) && data.rawBalance === undefined) {
+    return 'data must carry a rawBalance or holdings';
+  }
+  return null;
+}
+
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { kind = 'balance', format = 'journal', account, data } = body || {};
+
+    if (kind !== 'balance' && kind !== 'movements') {
+      return NextResponse.json({ error: 'kind must be "balance" or "movements"' }, { status: 400 });
+    }
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+      return NextResponse.json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` }, { status: 400 });
+    }
+    if (!exporter[kind]) {
+      return NextResponse.json({ error: `${exporter.label} exports only cover transaction movements` }, { status: 400 });
+    }
+
+    const error = validateExportData(kind, data);
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const accounts = {
+      ...getJournalAccounts(),
+      wallet: account ? String(account).trim() : await getWalletAccount(data.chain, data.address)
+    };
+    const csv = toExportCsv(format, kind, data, accounts);
+    const filename = `${data.chain}-${data.network}-${String(data.address).slice(0, 12)}-${kind}-${format}.csv`.replace(/[^\w.-]/g, '_');
+
+    return new NextResponse(csv, {
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      }
+    });
+
+  } catch (error) {
+    console.error('Export API Error:', error);
+    return NextResponse.json({ error: error.message || 'Internal Server Error' }, { status: 500 });
+  }
+}
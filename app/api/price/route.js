@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { getFiatValuation, isDecimalString, isValidCurrency } from '@/lib/pricing';
+
+// GET /api/price?chain=&network=&tokenAddress=&balance=&timestamp=&currency=
+// Re-prices an existing balance result without repeating the balance lookup.
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const chain = searchParams.get('chain') || 'ethereum';
+    const network = searchParams.get('network') || 'mainnet';
+    const tokenAddress = searchParams.get('tokenAddress') || undefined;
+    const balance = searchParams.get('balance');
+    const timestamp = Number(searchParams.get('timestamp'));
+    const currency = (searchParams.get('currency') || 'usd').toLowerCase();
+
+    if (!balance || !timestamp || isNaN(timestamp)) {
+      return NextResponse.json({ error: 'Balance and Timestamp are required' }, { status: 400 });
+    }
+
+    if (!isDecimalString(balance)) {
+      return NextResponse.json({ error: 'Balance must be a decimal number like "12.5"' }, { status: 400 });
+    }
+
+    if (!isValidCurrency(currency)) {
+      return NextResponse.json({ error: 'Currency must be a 3 letter code like "usd"' }, { status: 400 });
+    }
+
+    const fiat = await getFiatValuation({ chain, network, tokenAddress, balance, timestamp, currency });
+    return NextResponse.json(fiat);
+
+  } catch (error) {
+    console.error('Price API Error:', error);
+    return NextResponse.json({ error: error.message || 'Internal Server Error' }, { status: 500 });
+  }
+}
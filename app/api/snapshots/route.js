@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { listSnapshots } from '@/lib/snapshots';
+import { getSchedulerStatus, runSnapshotsNow } from '@/lib/scheduler';
+
+// Seconds for an ISO date or unix timestamp query parameter
+const parseTime = (value) => {
+  if (!value) return undefined;
+  return /^\d+$/.test(value) ? Number(value) : Math.floor(new Date(value).getTime() / 1000);
+};
+
+// GET /api/snapshots?walletId=&entity=&chain=&network=&address=&tokenAddress=&from=&to=
+// Stored daily snapshots, oldest first, with the scheduler settings and the last run.
+// tokenAddress=native matches native balances only.
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const from = parseTime(searchParams.get('from'));
+    const to = parseTime(searchParams.get('to'));
+
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return NextResponse.json({ error: 'Invalid Date' }, { status: 400 });
+    }
+
+    const { snapshots, lastRun } = await listSnapshots({
+      walletId: searchParams.get('walletId') || undefined,
+      entity: searchParams.get('entity') || undefined,
+      chain: searchParams.get('chain') || undefined,
+      network: searchParams.get('network') || undefined,
+      address: searchParams.get('address') || undefined,
+      tokenAddress: searchParams.get('tokenAddress') || undefined,
+      from,
+      to
+    });
+
+    return NextResponse.json({ scheduler: { ...getSchedulerStatus(), lastRun }, snapshots });
+
+  } catch (error) {
+    console.error('Snapshots API Error:', error);
+    return NextResponse.json({ error: error.message || 'Internal Server Error' }, { status: 500 });
+  }
+}
+
+// POST /api/snapshots
+// Takes the due snapshots now instead of waiting for the next scheduled check.
+export async function POST() {
+  try {
+    return NextResponse.json(await runSnapshotsNow());
+  } catch (error) {
+    console.error('Snapshots API Error:', error);
+    return NextResponse.json({ error: error.message || 'Internal Server Error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import { getEntityReport } from '@/lib/consolidated';
+
+// POST /api/wallets/report
+// Consolidated balances of every saved wallet in { entity } at { date }.
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const entity = String(body?.entity || '').trim();
+    const { date } = body || {};
+
+    if (!entity || !date) {
+      return NextResponse.json({ error: 'Entity and Date are required' }, { status: 400 });
+    }
+
+    const ts = Math.floor(new Date(date).getTime() / 1000);
+    if (isNaN(ts)) {
+      return NextResponse.json({ error: 'Invalid Date' }, { status: 400 });
+    }
+
+    const report = await getEntityReport({ entity, date, ts });
+    if (!report) {
+      return NextResponse.json({ error: `No saved wallets in ${entity}` }, { status: 404 });
+    }
+
+    return NextResponse.json(report);
+
+  } catch (error) {
+    console.error('Wallet Report API Error:', error);
+    return NextResponse.json({ error: error.message || 'Internal Server Error' }, { status: 500 });
+  }
+}
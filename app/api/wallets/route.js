@@ -0,0 +1,58 @@
+import { NextResponse } from 'next/server';
+import { deleteWallet, listEntities, listWallets, parseWallet, saveWallet } from '@/lib/wallets';
+
+// GET /api/wallets
+// Saved wallets and the entities grouping them.
+export async function GET() {
+  try {
+    return NextResponse.json({ wallets: await listWallets(), entities: await listEntities() });
+  } catch (error) {
+    console.error('Wallets API Error:', error);
+    return NextResponse.json({ error: error.message || 'Internal Server Error' }, { status: 500 });
+  }
+}
+
+// POST /api/wallets
+// Saves { label, entity, chain, network, address, tokens, tags }; with an `id` it
+// replaces that wallet instead of adding one.
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { wallet, error } = parseWallet(body);
+
+    if (error) {
+      return NextResponse.json({ error }, { status: 400 });
+    }
+
+    const saved = await saveWallet(wallet, body.id);
+    if (!saved) {
+      return NextResponse.json({ error: `Unknown wallet: ${body.id}` }, { status: 404 });
+    }
+
+    return NextResponse.json(saved);
+
+  } catch (error) {
+    console.error('Wallets API Error:', error);
+    return NextResponse.json({ error: error.message || 'Internal Server Error' }, { status: 500 });
+  }
+}
+
+// DELETE /api/wallets?id=
+export async function DELETE(request) {
+  try {
+    const id = new URL(request.url).searchParams.get('id');
+    if (!id) {
+      return NextResponse.json({ error: 'id is required' }, { status: 400 });
+    }
+
+    if (!await deleteWallet(id)) {
+      return NextResponse.json({ error: `Unknown wallet: ${id}` }, { status: 404 });
+    }
+
+    return NextResponse.json({ deleted: id });
+
+  } catch (error) {
+    console.error('Wallets API Error:', error);
+    return NextResponse.json({ error: error.message || 'Internal Server Error' }, { status: 500 });
+  }
+}
@@ -0,0 +1,58 @@
+'use client';
+
+const WIDTH = 640;
+const HEIGHT = 260;
+const PADDING = { top: 16, right: 16, bottom: 32, left: 72 };
+
+const formatAxisValue = (value) => {
+    if (Math.abs(value) >= 1000) return value.toLocaleString('en-GB', { maximumFractionDigits: 0 });
+    return value.toLocaleString('en-GB', { maximumSignificantDigits: 6 });
+};
+
+const formatAxisDate = (timestamp) => new Date(timestamp * 1000).toLocaleDateString('en-GB');
+
+// Plain SVG line chart for a balance series ({ timestamp, balance } points)
+export default function BalanceChart({ points, symbol }) {
+    if (!points || points.length === 0) return null;
+
+    const values = points.map(p => Number(p.balance));
+    const minTs = points[0].timestamp;
+    const maxTs = points[points.length - 1].timestamp;
+    let minValue = Math.min(...values);
+    let maxValue = Math.max(...values);
+    if (minValue === maxValue) {
+        // Flat series: give the line some room instead of dividing by zero
+        minValue -= 1;
+        maxValue += 1;
+    }
+
+    const plotWidth = WIDTH - PADDING.left - PADDING.right;
+    const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+    const x = (ts) => PADDING.left + (maxTs === minTs ? plotWidth / 2 : ((ts - minTs) / (maxTs - minTs)) * plotWidth);
+    const y = (value) => PADDING.top + (1 - (value - minValue) / (maxValue - minValue)) * plotHeight;
+
+    const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.timestamp).toFixed(1)},${y(values[i]).toFixed(1)}`).join(' ');
+    const ticks = [minValue, (minValue + maxValue) / 2, maxValue];
+
+    return (
+        <svg className="balance-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={`${symbol} balance over time`}>
+            {ticks.map((tick) => (
+                <g key={tick}>
+                    <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(tick)} y2={y(tick)} className="balance-chart-grid" />
+                    <text x={PADDING.left - 8} y={y(tick)} textAnchor="end" dominantBaseline="middle" className="balance-chart-label">
+                        {formatAxisValue(tick)}
+                    </text>
+                </g>
+            ))}
+            <text x={PADDING.left} y={HEIGHT - 8} textAnchor="start" className="balance-chart-label">{formatAxisDate(minTs)}</text>
+            <text x={WIDTH - PADDING.right} y={HEIGHT - 8} textAnchor="end" className="balance-chart-label">{formatAxisDate(maxTs)}</text>
+
+            <path d={path} className="balance-chart-line" />
+            {points.map((p, i) => (
+                <circle key={p.timestamp} cx={x(p.timestamp)} cy={y(values[i])} r={points.length > 60 ? 1.5 : 3} className="balance-chart-point">
+                    <title>{`${new Date(p.timestamp * 1000).toLocaleString('en-GB')} — ${p.balance} ${symbol} (block #${p.blockNumber})`}</title>
+                </circle>
+            ))}
+        </svg>
+    );
+}
@@ -0,0 +1,191 @@
+'use client';
+
+import { useState } from 'react';
+import { parseCsvObjects, toCsv } from '@/lib/csv';
+import { createLimiter } from '@/lib/limiter';
+
+const CONCURRENCY = 3;
+const EXPORT_COLUMNS = [
+    'address', 'chain', 'network', 'date', 'token',
+    'status', 'balance', 'rawBalance', 'symbol', 'blockNumber', 'timestamp', 'error'
+];
+
+const downloadFile = (filename, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Flatten a row and its lookup result into one export record
+const toExportRecord = (row) => ({
+    address: row.address,
+    chain: row.chain,
+    network: row.network,
+    date: row.date,
+    token: row.token,
+    status: row.status,
+    balance: row.result?.balance ?? '',
+    rawBalance: row.result?.rawBalance ?? '',
+    symbol: row.result?.symbol ?? '',
+    blockNumber: row.result?.blockNumber ?? '',
+    timestamp: row.result?.timestamp ?? '',
+    error: row.error ?? ''
+});
+
+// Bulk balance lookups from a CSV file (address, chain, network, date, token)
+export default function CsvImport() {
+    const [rows, setRows] = useState([]);
+    const [running, setRunning] = useState(false);
+    const [fileError, setFileError] = useState(null);
+
+    const updateRow = (index, patch) => {
+        setRows(prev => prev.map(row => (row.index === index ? { ...row, ...patch } : row)));
+    };
+
+    const handleFile = async (e) => {
+        const file = e.target.files?.[0];
+        setFileError(null);
+        setRows([]);
+        if (!file) return;
+
+        const records = parseCsvObjects(await file.text());
+        if (records.length === 0) {
+            setFileError('CSV is empty');
+            return;
+        }
+        if (!('address' in records[0]) || !('date' in records[0])) {
+            setFileError('CSV must have at least "address" and "date" columns');
+            return;
+        }
+
+        setRows(records.map((record, index) => ({
+            index,
+            address: record.address,
+            chain: record.chain || 'ethereum',
+            network: record.network || 'mainnet',
+            date: record.date,
+            token: record.token || '',
+            status: 'pending',
+            result: null,
+            error: null
+        })));
+    };
+
+    const lookupRow = async (row) => {
+        updateRow(row.index, { status: 'running' });
+
+        try {
+            // Dates without a timezone are read as local time, same as the form
+            const parsedDate = new Date(row.date);
+            if (isNaN(parsedDate.getTime())) throw new Error('Invalid Date');
+
+            const res = await fetch('/api/balance', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    address: row.address,
+                    chain: row.chain,
+                    network: row.network,
+                    date: parsedDate.toISOString(),
+                    tokenAddress: row.token
+                }),
+            });
+
+            const data = await res.json();
+
+            if (!res.ok) {
+                throw new Error(data.error || 'Failed to fetch balance');
+            }
+
+            updateRow(row.index, { status: 'done', result: data });
+        } catch (err) {
+            updateRow(row.index, { status: 'failed', error: err.message });
+        }
+    };
+
+    const runAll = async () => {
+        setRunning(true);
+        const limit = createLimiter(CONCURRENCY);
+        await Promise.all(rows.map(row => limit(() => lookupRow(row))));
+        setRunning(false);
+    };
+
+    const finished = rows.filter(r => r.status === 'done' || r.status === 'failed').length;
+    const failed = rows.filter(r => r.status === 'failed').length;
+
+    return (
+        <div>
+            <div className="form-group">
+                <label htmlFor="csvFile">CSV File (address, chain, network, date, token)</label>
+                <input id="csvFile" type="file" accept=".csv,text/csv" onChange={handleFile} disabled={running} />
+            </div>
+
+            {fileError && <div className="error">{fileError}</div>}
+
+            {rows.length > 0 && (
+                <>
+                    <div className="btn-group" style={{ gridTemplateColumns: '2fr 1fr 1fr', marginTop: 0 }}>
+                        <button type="button" onClick={runAll} disabled={running}>
+                            {running ? `Checking ${finished}/${rows.length}...` : `Check ${rows.length} Rows`}
+                        </button>
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            disabled={running || finished === 0}
+                            onClick={() => downloadFile('balances.csv', toCsv(rows.map(toExportRecord), EXPORT_COLUMNS), 'text/csv')}
+                        >
+                            Download CSV
+                        </button>
+                        <button
+                            type="button"
+                            className="btn-secondary"
+                            disabled={running || finished === 0}
+                            onClick={() => downloadFile('balances.json', JSON.stringify(rows.map(toExportRecord), null, 2), 'application/json')}
+                        >
+                            Download JSON
+                        </button>
+                    </div>
+
+                    <div className="progress-summary">
+                        {finished}/{rows.length} done{failed > 0 && `, ${failed} failed`}
+                    </div>
+
+                    <div className="table-wrapper">
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>#</th>
+                                    <th>Address</th>
+                                    <th>Chain</th>
+                                    <th>Date</th>
+                                    <th>Balance</th>
+                                    <th>Block</th>
+                                    <th>Status</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rows.map(row => (
+                                    <tr key={row.index} className={row.status === 'failed' ? 'row-failed' : ''}>
+                                        <td>{row.index + 1}</td>
+                                        <td className="mono" title={row.address}>{row.address}</td>
+                                        <td>{row.chain}/{row.network}</td>
+                                        <td>{row.date}</td>
+                                        <td className="mono">{row.result ? `${row.result.balance} ${row.result.symbol}` : ''}</td>
+                                        <td className="mono">{row.result ? `#${row.result.blockNumber}` : ''}</td>
+                                        <td>
+                                            <span className={`status-badge status-${row.status}`}>{row.status}</span>
+                                            {row.error && <div className="row-error">{row.error}</div>}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,31 @@
+'use client';
+
+// Non-zero addresses behind an extended public key balance
+export default function DerivedAddressesTable({ addresses, symbol }) {
+    if (addresses.length === 0) {
+        return <div className="result-note">No derived address held a balance at this time.</div>;
+    }
+
+    return (
+        <div className="table-wrapper">
+            <table className="data-table">
+                <thead>
+                    <tr>
+                        <th>Path</th>
+                        <th>Address</th>
+                        <th>Balance</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {addresses.map(entry => (
+                        <tr key={entry.address}>
+                            <td className="mono">{entry.path}</td>
+                            <td className="mono" title={entry.address}>{entry.address}</td>
+                            <td className="mono" title={entry.rawBalance}>{entry.balance} {symbol}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
@@ -0,0 +1,148 @@
+'use client';
+
+import { useState } from 'react';
+
+// Balances of every wallet in an entity at one timestamp, totalled by asset, with the
+// block each chain was read at
+export default function EntityReport({ entities, chainName }) {
+    const [form, setForm] = useState({ entity: '', date: '' });
+    const [loading, setLoading] = useState(false);
+    const [report, setReport] = useState(null);
+    const [error, setError] = useState(null);
+
+    const entity = form.entity || entities[0]?.name || '';
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+        setReport(null);
+
+        try {
+            const res = await fetch('/api/wallets/report', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ entity, date: new Date(form.date).toISOString() }),
+            });
+
+            const data = await res.json();
+
+            if (!res.ok) {
+                throw new Error(data.error || 'Failed to build report');
+            }
+
+            setReport(data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div>
+            <form onSubmit={handleSubmit}>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                    <div className="form-group">
+                        <label htmlFor="reportEntity">Entity</label>
+                        <select
+                            id="reportEntity"
+                            value={entity}
+                            onChange={(e) => setForm({ ...form, entity: e.target.value })}
+                        >
+                            {entities.map(option => (
+                                <option key={option.name} value={option.name}>{option.name} ({option.walletCount})</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="form-group">
+                        <label htmlFor="reportDate">As of (Local)</label>
+                        <input
+                            id="reportDate"
+                            type="datetime-local"
+                            step="1"
+                            required
+                            value={form.date}
+                            onChange={(e) => setForm({ ...form, date: e.target.value })}
+                        />
+                    </div>
+                </div>
+
+                <button type="submit" disabled={loading || !entity}>
+                    {loading ? <div className="spinner"></div> : 'Run Report'}
+                </button>
+            </form>
+
+            {error && <div className="error">{error}</div>}
+
+            {report && (
+                <div className="result">
+                    <div className="result-item">
+                        <span className="result-label">As of</span>
+                        <span className="result-value">{new Date(report.timestamp * 1000).toLocaleString('en-GB')}</span>
+                    </div>
+                    {report.blocks.map(block => (
+                        <div key={`${block.chain}:${block.network}`} className="result-item">
+                            <span className="result-label">{chainName(block.chain)} {block.network} block</span>
+                            <span className="result-value">#{block.blockNumber}</span>
+                        </div>
+                    ))}
+
+                    <div className="table-wrapper">
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Asset</th>
+                                    <th>Total</th>
+                                    <th>Chains</th>
+                                    <th>Holdings</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.totals.map(total => (
+                                    <tr key={total.asset}>
+                                        <td title={total.asset}>{total.symbol}</td>
+                                        <td className="mono">{total.balance}</td>
+                                        <td>{total.chains.map(chainName).join(', ')}</td>
+                                        <td>{total.holdings}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="table-wrapper">
+                        <table className="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Wallet</th>
+                                    <th>Chain</th>
+                                    <th>Balance</th>
+                                    <th>Block</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.wallets.flatMap(wallet => wallet.holdings.map(holding => (
+                                    <tr key={`${wallet.id}:${holding.tokenAddress || 'native'}`} className={holding.error ? 'row-failed' : ''}>
+                                        <td title={wallet.address}>{wallet.label}</td>
+                                        <td>{chainName(wallet.chain)}/{wallet.network}</td>
+                                        <td className="mono" title={holding.rawBalance || holding.tokenAddress || ''}>
+                                            {holding.error
+                                                ? <span className="row-error">{holding.tokenAddress ? `${holding.tokenAddress}: ` : ''}{holding.error}</span>
+                                                : `${holding.balance} ${holding.symbol}`}
+                                        </td>
+                                        <td>{holding.blockNumber != null ? `#${holding.blockNumber}` : ''}</td>
+                                    </tr>
+                                )))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="progress-summary">
+                        {report.summary.succeeded}/{report.summary.total} balances read{report.summary.failed > 0 && `, ${report.summary.failed} failed (not in the totals)`}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
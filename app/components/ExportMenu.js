@@ -0,0 +1,78 @@
+'use client';
+
+import { useState } from 'react';
+import { EXPORT_FORMATS } from '@/lib/exports';
+
+const downloadFile = (filename, blob) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Accounting export of a balance result (`kind` 'balance') or transaction ledger ('movements').
+// `data` is the response shown on the page; the server serialises it as is and books the
+// wallet to the account entered here or mapped in ACCOUNT_MAP_PATH.
+export default function ExportMenu({ kind, data }) {
+    const formats = Object.entries(EXPORT_FORMATS).filter(([, exporter]) => exporter[kind]);
+    const [format, setFormat] = useState(formats[0][0]);
+    const [account, setAccount] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleExport = async () => {
+        setLoading(true);
+        setError(null);
+
+        try {
+            const res = await fetch('/api/export', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ kind, format, account: account.trim() || undefined, data }),
+            });
+
+            if (!res.ok) {
+                const body = await res.json();
+                throw new Error(body.error || 'Export failed');
+            }
+
+            const filename = res.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `${kind}-${format}.csv`;
+            downloadFile(filename, await res.blob());
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div>
+            <div className="btn-group" style={{ gridTemplateColumns: '1fr 1fr 1fr', alignItems: 'end' }}>
+                <div className="form-group" style={{ marginBottom: 0 }}>
+                    <label htmlFor={`${kind}ExportFormat`}>Export Format</label>
+                    <select id={`${kind}ExportFormat`} value={format} onChange={(e) => setFormat(e.target.value)}>
+                        {formats.map(([id, exporter]) => (
+                            <option key={id} value={id}>{exporter.label}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="form-group" style={{ marginBottom: 0 }}>
+                    <label htmlFor={`${kind}ExportAccount`}>Ledger Account</label>
+                    <input
+                        id={`${kind}ExportAccount`}
+                        type="text"
+                        placeholder="From account map"
+                        value={account}
+                        onChange={(e) => setAccount(e.target.value)}
+                    />
+                </div>
+                <button type="button" className="btn-secondary" onClick={handleExport} disabled={loading}>
+                    {loading ? <div className="spinner"></div> : 'Download CSV'}
+                </button>
+            </div>
+            {error && <div className="error">{error}</div>}
+        </div>
+    );
+}
@@ -0,0 +1,43 @@
+'use client';
+
+const formatFiat = (fiat) => {
+    if (!fiat) return '';
+    if (fiat.value == null) return fiat.error || 'Unavailable';
+    return `${Number(fiat.value).toLocaleString('en-GB', { minimumFractionDigits: 2 })} ${fiat.currency.toUpperCase()}`;
+};
+
+// Per-token results of a multi-token (portfolio) lookup
+export default function HoldingsTable({ holdings }) {
+    const showFiat = holdings.some(h => h.fiat);
+
+    return (
+        <div className="table-wrapper">
+            <table className="data-table">
+                <thead>
+                    <tr>
+                        <th>Asset</th>
+                        <th>Balance</th>
+                        {showFiat && <th>Value</th>}
+                        <th>Contract</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {holdings.map(holding => (
+                        <tr key={holding.tokenAddress || 'native'} className={holding.error ? 'row-failed' : ''}>
+                            <td>{holding.symbol || '?'}</td>
+                            <td className="mono" title={holding.rawBalance}>
+                                {holding.error
+                                    ? <span className="row-error">{holding.error}</span>
+                                    : holding.balance}
+                                {holding.warning && <div className="row-error">{holding.warning}</div>}
+                                {holding.spamReason && <div className="row-error">Possible spam: {holding.spamReason}</div>}
+                            </td>
+                            {showFiat && <td className="mono">{formatFiat(holding.fiat)}</td>}
+                            <td className="mono" title={holding.tokenAddress || ''}>{holding.tokenAddress || 'Native'}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
@@ -0,0 +1,70 @@
+'use client';
+
+const COLUMNS = [
+    ['opening', 'Opening', 'balance'],
+    ['inflows', 'Received', 'amount'],
+    ['outflows', 'Sent', 'amount'],
+    ['fees', 'Fees', 'amount'],
+    ['closing', 'Closing', 'balance'],
+    ['unexplained', 'Unexplained', 'amount']
+];
+
+// Roll-forward of each asset between two dates; a non-zero unexplained difference means
+// the movement listing missed something
+export default function PeriodReport({ reports }) {
+    const first = reports.find(report => !report.error);
+    const notes = [...new Set(reports.map(report => report.note).filter(Boolean))];
+
+    return (
+        <div className="result">
+            {first && (
+                <div className="result-item">
+                    <span className="result-label">Period</span>
+                    <span className="result-value">
+                        {new Date(first.startTimestamp * 1000).toLocaleString('en-GB')} (#{first.startBlock}) → {new Date(first.endTimestamp * 1000).toLocaleString('en-GB')} (#{first.endBlock})
+                    </span>
+                </div>
+            )}
+            <div className="table-wrapper">
+                <table className="data-table">
+                    <thead>
+                        <tr>
+                            <th>Asset</th>
+                            {COLUMNS.map(([key, label]) => <th key={key}>{label}</th>)}
+                            <th>Movements</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {reports.map(report => (
+                            <tr key={report.tokenAddress || 'native'} className={report.error ? 'row-failed' : ''}>
+                                <td title={report.tokenAddress || ''}>{report.symbol || report.tokenAddress || 'Native'}</td>
+                                {report.error ? (
+                                    <td colSpan={COLUMNS.length + 1}><span className="row-error">{report.error}</span></td>
+                                ) : (
+                                    <>
+                                        {COLUMNS.map(([key, , field]) => (
+                                            <td
+                                                key={key}
+                                                className={`mono${key === 'unexplained' && report.unexplained.rawAmount !== '0' ? ' row-error' : ''}`}
+                                                title={report[key][field === 'balance' ? 'rawBalance' : 'rawAmount']}
+                                            >
+                                                {report[key][field]}
+                                            </td>
+                                        ))}
+                                        <td>{report.movementCount}</td>
+                                    </>
+                                )}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {notes.map(note => <div key={note} className="result-note">{note}</div>)}
+            {reports.flatMap(report => (report.limits || []).map(limit => (
+                <div key={`${report.tokenAddress || 'native'}:${limit.listing}`} className="result-note row-error">
+                    Incomplete history ({report.symbol}, {limit.listing}, {limit.fetched} fetched): {limit.reason}
+                </div>
+            )))}
+        </div>
+    );
+}
@@ -0,0 +1,169 @@
+'use client';
+
+import { useState } from 'react';
+import ExportMenu from './ExportMenu';
+
+const PAGE_SIZE = 25;
+
+const DIRECTION_LABELS = { in: 'In', out: 'Out', self: 'Self' };
+
+// Balance-affecting movements of the selected wallet between two dates, with the running
+// balance after each one, shown a page at a time
+export default function TransactionLedger({ address, chain, network, tokenAddress }) {
+    const [range, setRange] = useState({ startDate: '', endDate: '' });
+    const [loading, setLoading] = useState(false);
+    const [ledger, setLedger] = useState(null);
+    const [error, setError] = useState(null);
+    const [page, setPage] = useState(0);
+
+    const handleChange = (e) => {
+        setRange({ ...range, [e.target.name]: e.target.value });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError(null);
+        setLedger(null);
+        setPage(0);
+
+        const payload = {
+            address,
+            chain,
+            network,
+            tokenAddress,
+            startDate: new Date(range.startDate).toISOString(),
+            endDate: new Date(range.endDate).toISOString()
+        };
+
+        try {
+            const res = await fetch('/api/balance/transactions', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+            });
+
+            const data = await res.json();
+
+            if (!res.ok) {
+                throw new Error(data.error || 'Failed to fetch transactions');
+            }
+
+            setLedger(data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const pageCount = ledger ? Math.max(1, Math.ceil(ledger.movements.length / PAGE_SIZE)) : 0;
+    const rows = ledger ? ledger.movements.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE) : [];
+
+    return (
+        <div>
+            <form onSubmit={handleSubmit}>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
+                    <div className="form-group">
+                        <label htmlFor="ledgerStartDate">From (Local)</label>
+                        <input
+                            id="ledgerStartDate"
+                            name="startDate"
+                            type="datetime-local"
+                            step="1"
+                            required
+                            value={range.startDate}
+                            onChange={handleChange}
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label htmlFor="ledgerEndDate">To (Local)</label>
+                        <input
+                            id="ledgerEndDate"
+                            name="endDate"
+                            type="datetime-local"
+                            step="1"
+                            required
+                            value={range.endDate}
+                            onChange={handleChange}
+                        />
+                    </div>
+                </div>
+
+                <button type="submit" disabled={loading || !address}>
+                    {loading ? <div className="spinner"></div> : 'Load Transactions'}
+                </button>
+            </form>
+
+            {error && <div className="error">{error}</div>}
+
+            {ledger && (
+                <>
+                    <div className="progress-summary">
+                        Opening {ledger.opening.balance} {ledger.symbol} (block #{ledger.startBlock}) → closing {ledger.closing.balance} {ledger.symbol},
+                        {' '}{ledger.movements.length} movement(s)
+                    </div>
+
+                    {ledger.movements.length > 0 && (
+                        <div className="table-wrapper">
+                            <table className="data-table">
+                                <thead>
+                                    <tr>
+                                        <th>Time</th>
+                                        <th>Transaction</th>
+                                        <th>Block</th>
+                                        <th>Counterparty</th>
+                                        <th>Direction</th>
+                                        <th>Amount</th>
+                                        <th>Fee</th>
+                                        <th>Balance</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {rows.map((movement, i) => (
+                                        <tr key={`${movement.hash}:${page * PAGE_SIZE + i}`}>
+                                            <td>{new Date(movement.timestamp * 1000).toLocaleString('en-GB')}</td>
+                                            <td className="mono" title={movement.hash}>{movement.hash}</td>
+                                            <td>{movement.blockNumber != null ? `#${movement.blockNumber}` : ''}</td>
+                                            <td className="mono" title={movement.counterparty || ''}>{movement.counterparty || ''}</td>
+                                            <td>
+                                                <span className="status-badge">{DIRECTION_LABELS[movement.direction]}</span>
+                                                {movement.category && movement.category !== 'transfer' && <span className="result-muted"> {movement.category}</span>}
+                                            </td>
+                                            <td className="mono" title={movement.rawAmount}>{movement.amount}</td>
+                                            <td className="mono" title={movement.rawFee || ''}>{movement.fee ?? ''}</td>
+                                            <td className="mono" title={movement.rawBalance}>{movement.balance} {ledger.symbol}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {pageCount > 1 && (
+                        <div className="btn-group" style={{ gridTemplateColumns: '1fr 1fr 1fr', alignItems: 'center', marginTop: '1rem' }}>
+                            <button type="button" className="btn-secondary" disabled={page === 0} onClick={() => setPage(page - 1)}>
+                                Previous
+                            </button>
+                            <span className="progress-summary" style={{ marginTop: 0, textAlign: 'center' }}>
+                                Page {page + 1} of {pageCount}
+                            </span>
+                            <button type="button" className="btn-secondary" disabled={page >= pageCount - 1} onClick={() => setPage(page + 1)}>
+                                Next
+                            </button>
+                        </div>
+                    )}
+
+                    {ledger.note && <div className="result-note">{ledger.note}</div>}
+                    {ledger.limits?.map(limit => (
+                        <div key={limit.listing} className="result-note row-error">
+                            Incomplete history ({limit.listing}, {limit.fetched} fetched): {limit.reason}
+                        </div>
+                    ))}
+
+                    {ledger.movements.length > 0 && <ExportMenu kind="movements" data={ledger} />}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,42 @@
+'use client';
+
+const DAY_SECONDS = 24 * 3600;
+
+const formatAge = (seconds) => {
+    if (seconds >= DAY_SECONDS) return `${Math.floor(seconds / DAY_SECONDS)} d`;
+    if (seconds >= 3600) return `${Math.floor(seconds / 3600)} h`;
+    return `${Math.floor(seconds / 60)} min`;
+};
+
+// Unspent outputs behind a UTXO balance, collapsed until opened
+export default function UtxoTable({ utxos, symbol }) {
+    const showAddress = utxos.some(utxo => utxo.address);
+
+    return (
+        <details className="table-wrapper">
+            <summary className="result-label">{utxos.length} unspent output(s)</summary>
+            <table className="data-table">
+                <thead>
+                    <tr>
+                        <th>Outpoint</th>
+                        {showAddress && <th>Address</th>}
+                        <th>Value</th>
+                        <th>Block</th>
+                        <th>Age</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {utxos.map(utxo => (
+                        <tr key={`${utxo.txid}:${utxo.vout}`}>
+                            <td className="mono" title={`${utxo.txid}:${utxo.vout}`}>{utxo.txid}:{utxo.vout}</td>
+                            {showAddress && <td className="mono" title={utxo.address}>{utxo.path} {utxo.address}</td>}
+                            <td className="mono" title={utxo.rawValue}>{utxo.value} {symbol}</td>
+                            <td title={new Date(utxo.blockTime * 1000).toLocaleString('en-GB')}>#{utxo.blockHeight}</td>
+                            <td>{formatAge(utxo.ageSeconds)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </details>
+    );
+}
@@ -0,0 +1,159 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import EntityReport from './EntityReport';
+
+// Saved wallets grouped by entity. "Use" loads one into the balance form, and the wallet
+// currently in the form can be saved with a label, entity and tags.
+export default function WalletBook({ current, chains, onSelect }) {
+    const [book, setBook] = useState({ wallets: [], entities: [] });
+    const [form, setForm] = useState({ label: '', entity: '', tags: '' });
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadBook = async () => {
+        try {
+            const res = await fetch('/api/wallets');
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to load saved wallets');
+            setBook(data);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    useEffect(() => {
+        loadBook();
+    }, []);
+
+    const chainName = (id) => chains.find(c => c.id === id)?.name || id;
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(null);
+
+        try {
+            const res = await fetch('/api/wallets', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...form, ...current }),
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to save wallet');
+
+            setForm({ ...form, label: '', tags: '' });
+            await loadBook();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDelete = async (wallet) => {
+        if (!window.confirm(`Remove ${wallet.label} from the saved wallets?`)) return;
+        setError(null);
+
+        try {
+            const res = await fetch(`/api/wallets?id=${encodeURIComponent(wallet.id)}`, { method: 'DELETE' });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to remove wallet');
+            await loadBook();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div>
+            <form onSubmit={handleSave}>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '1rem' }}>
+                    <div className="form-group">
+                        <label htmlFor="walletLabel">Label</label>
+                        <input
+                            id="walletLabel"
+                            type="text"
+                            required
+                            value={form.label}
+                            onChange={(e) => setForm({ ...form, label: e.target.value })}
+                        />
+                    </div>
+                    <div className="form-group">
+                        <label htmlFor="walletEntity">Entity</label>
+                        <input
+                            id="walletEntity"
+                            type="text"
+                            list="walletEntities"
+                            placeholder="e.g. Treasury"
+                            required
+                            value={form.entity}
+                            onChange={(e) => setForm({ ...form, entity: e.target.value })}
+                        />
+                        <datalist id="walletEntities">
+                            {book.entities.map(entity => <option key={entity.name} value={entity.name} />)}
+                        </datalist>
+                    </div>
+                    <div className="form-group">
+                        <label htmlFor="walletTags">Tags</label>
+                        <input
+                            id="walletTags"
+                            type="text"
+                            placeholder="Comma-separated"
+                            value={form.tags}
+                            onChange={(e) => setForm({ ...form, tags: e.target.value })}
+                        />
+                    </div>
+                </div>
+
+                <button type="submit" disabled={saving || !current.address}>
+                    {saving ? <div className="spinner"></div> : 'Save Wallet from Form'}
+                </button>
+            </form>
+
+            {error && <div className="error">{error}</div>}
+
+            {book.entities.map(entity => (
+                <div key={entity.name} className="table-wrapper">
+                    <div className="result-label">{entity.name} ({entity.walletCount})</div>
+                    <table className="data-table">
+                        <thead>
+                            <tr>
+                                <th>Label</th>
+                                <th>Chain</th>
+                                <th>Address</th>
+                                <th>Tokens</th>
+                                <th>Tags</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {book.wallets.filter(wallet => wallet.entity === entity.name).map(wallet => (
+                                <tr key={wallet.id}>
+                                    <td>{wallet.label}</td>
+                                    <td>{chainName(wallet.chain)}/{wallet.network}</td>
+                                    <td className="mono" title={wallet.address}>{wallet.address}</td>
+                                    <td className="mono" title={wallet.tokens.join(', ')}>{wallet.tokens.length > 0 ? wallet.tokens.length : ''}</td>
+                                    <td>{wallet.tags.join(', ')}</td>
+                                    <td>
+                                        <div className="btn-group" style={{ marginTop: 0 }}>
+                                            <button type="button" className="btn-secondary" onClick={() => onSelect(wallet)}>Use</button>
+                                            <button type="button" className="btn-secondary" onClick={() => handleDelete(wallet)}>Remove</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            ))}
+
+            {book.entities.length > 0 && (
+                <>
+                    <h2 className="section-title">Consolidated Report</h2>
+                    <EntityReport entities={book.entities} chainName={chainName} />
+                </>
+            )}
+        </div>
+    );
+}
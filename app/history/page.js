@@ -0,0 +1,177 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+
+// Stored 00:00 UTC snapshots of the saved wallets, filtered by entity, wallet and day range
+export default function History() {
+    const [filters, setFilters] = useState({ entity: '', walletId: '', from: '', to: '' });
+    const [book, setBook] = useState({ wallets: [], entities: [] });
+    const [history, setHistory] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [running, setRunning] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadHistory = async (current) => {
+        setLoading(true);
+        setError(null);
+
+        // Days are UTC, matching the snapshot times
+        const params = new URLSearchParams();
+        if (current.entity) params.set('entity', current.entity);
+        if (current.walletId) params.set('walletId', current.walletId);
+        if (current.from) params.set('from', `${current.from}T00:00:00Z`);
+        if (current.to) params.set('to', `${current.to}T00:00:00Z`);
+
+        try {
+            const res = await fetch(`/api/snapshots?${params}`);
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to load snapshots');
+            setHistory(data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetch('/api/wallets')
+            .then(res => res.json())
+            .then(data => setBook({ wallets: data.wallets || [], entities: data.entities || [] }))
+            .catch(() => setError('Failed to load saved wallets'));
+        loadHistory({});
+    }, []);
+
+    const handleChange = (e) => {
+        const next = { ...filters, [e.target.name]: e.target.value };
+        if (e.target.name === 'entity') next.walletId = '';
+        setFilters(next);
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        loadHistory(filters);
+    };
+
+    const handleRunNow = async () => {
+        setRunning(true);
+        setError(null);
+
+        try {
+            const res = await fetch('/api/snapshots', { method: 'POST' });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Snapshot run failed');
+            await loadHistory(filters);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    const wallets = book.wallets.filter(wallet => !filters.entity || wallet.entity === filters.entity);
+    const lastRun = history?.scheduler.lastRun;
+
+    return (
+        <main className="container">
+            <div className="card">
+                <h1>Snapshot History</h1>
+                <Link href="/">← Back to balance lookup</Link>
+
+                <div className="result-note">
+                    {history && (history.scheduler.enabled
+                        ? `Saved wallets are snapshotted at 00:00 UTC daily, checked every ${history.scheduler.checkMinutes} min.`
+                        : 'The snapshot scheduler is off (SNAPSHOT_ENABLED=false).')}
+                    {lastRun && ` Last run ${new Date(lastRun.finishedAt * 1000).toLocaleString('en-GB')}: ${lastRun.succeeded} taken, ${lastRun.failed} failed.`}
+                </div>
+
+                <form onSubmit={handleSubmit}>
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr 1fr', gap: '1rem' }}>
+                        <div className="form-group">
+                            <label htmlFor="entity">Entity</label>
+                            <select id="entity" name="entity" value={filters.entity} onChange={handleChange}>
+                                <option value="">All</option>
+                                {book.entities.map(entity => (
+                                    <option key={entity.name} value={entity.name}>{entity.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="walletId">Wallet</label>
+                            <select id="walletId" name="walletId" value={filters.walletId} onChange={handleChange}>
+                                <option value="">All</option>
+                                {wallets.map(wallet => (
+                                    <option key={wallet.id} value={wallet.id}>{wallet.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="from">From (UTC)</label>
+                            <input id="from" name="from" type="date" value={filters.from} onChange={handleChange} />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="to">To (UTC)</label>
+                            <input id="to" name="to" type="date" value={filters.to} onChange={handleChange} />
+                        </div>
+                    </div>
+
+                    <div className="btn-group">
+                        <button type="button" className="btn-secondary" onClick={handleRunNow} disabled={running}>
+                            {running ? <div className="spinner"></div> : 'Run Due Snapshots Now'}
+                        </button>
+                        <button type="submit" disabled={loading}>
+                            {loading ? <div className="spinner"></div> : 'Show Snapshots'}
+                        </button>
+                    </div>
+                </form>
+
+                {error && <div className="error">{error}</div>}
+
+                {history && (
+                    <>
+                        <div className="progress-summary">{history.snapshots.length} snapshot(s)</div>
+                        {history.snapshots.length > 0 && (
+                            <div className="table-wrapper">
+                                <table className="data-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Day</th>
+                                            <th>Wallet</th>
+                                            <th>Chain</th>
+                                            <th>Balance</th>
+                                            <th>Block</th>
+                                            <th>Providers</th>
+                                            <th>Status</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {history.snapshots.map(snapshot => (
+                                            <tr
+                                                key={`${snapshot.day}:${snapshot.chain}:${snapshot.network}:${snapshot.address}:${snapshot.tokenAddress || 'native'}`}
+                                                className={snapshot.status === 'failed' ? 'row-failed' : ''}
+                                            >
+                                                <td>{snapshot.day}</td>
+                                                <td title={snapshot.address}>{snapshot.label} <span className="result-muted">({snapshot.entity})</span></td>
+                                                <td>{snapshot.chain}/{snapshot.network}</td>
+                                                <td className="mono" title={snapshot.rawBalance || snapshot.tokenAddress || ''}>
+                                                    {snapshot.status === 'ok' ? `${snapshot.balance} ${snapshot.symbol}` : snapshot.tokenAddress || ''}
+                                                </td>
+                                                <td>{snapshot.blockNumber != null ? `#${snapshot.blockNumber}` : ''}</td>
+                                                <td title={snapshot.note || ''}>{snapshot.blockProvider} / {snapshot.balanceProvider}</td>
+                                                <td>
+                                                    <span className={`status-badge status-${snapshot.status === 'ok' ? 'done' : 'failed'}`}>{snapshot.status}</span>
+                                                    {snapshot.error && <div className="row-error">{snapshot.error}</div>}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </main>
+    );
+}
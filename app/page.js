@@ -1,6 +1,28 @@
 'use client';
 
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import BalanceChart from './components/BalanceChart';
+import CsvImport from './components/CsvImport';
+import DerivedAddressesTable from './components/DerivedAddressesTable';
+import UtxoTable from './components/UtxoTable';
+import TransactionLedger from './components/TransactionLedger';
+import HoldingsTable from './components/HoldingsTable';
+import PeriodReport from './components/PeriodReport';
+import ExportMenu from './components/ExportMenu';
+import WalletBook from './components/WalletBook';
+
+// Badge shown next to a verified balance, by confidence
+const VERIFICATION_BADGES = {
+    high: { label: 'Verified', className: 'status-done' },
+    medium: { label: 'Small difference', className: 'status-running' },
+    low: { label: 'Replay mismatch', className: 'status-failed' },
+    unknown: { label: 'Not verified', className: 'status-failed' }
+};
+
+// xpub/ypub/zpub, Ltub/Mtub...: a four letter prefix and ~107 base58 characters
+const EXTENDED_KEY_PATTERN = /^[a-zA-Z]{4}[1-9A-HJ-NP-Za-km-z]{100,}$/;
+const getExtendedKeyPrefix = (value) => (EXTENDED_KEY_PATTERN.test(value.trim()) ? value.trim().slice(0, 4) : null);
 
 export default function Home() {
     const [formData, setFormData] = useState({
@@ -8,34 +30,156 @@ export default function Home() {
         date: '',
         chain: 'ethereum',
         network: 'mainnet',
-        tokenAddress: ''
+        tokenAddress: '',
+        discover: false,
+        verify: false,
+        utxos: false,
+        compare: false,
+        endDate: ''
     });
     const [loading, setLoading] = useState(false);
     const [result, setResult] = useState(null);
+    const [report, setReport] = useState(null);
     const [error, setError] = useState(null);
+    const [chains, setChains] = useState([]);
+    // Empty until the user asks for a valuation, so plain lookups don't hit the price providers
+    const [currency, setCurrency] = useState('');
+    const [priceLoading, setPriceLoading] = useState(false);
+    const [seriesForm, setSeriesForm] = useState({
+        startDate: '',
+        endDate: '',
+        interval: 'daily'
+    });
+    const [seriesLoading, setSeriesLoading] = useState(false);
+    const [series, setSeries] = useState(null);
+    const [seriesError, setSeriesError] = useState(null);
+
+    useEffect(() => {
+        fetch('/api/chains')
+            .then(res => res.json())
+            .then(data => setChains(data.chains || []))
+            .catch(() => setError('Failed to load supported chains'));
+    }, []);
+
+    const selectedChain = chains.find(c => c.id === formData.chain);
+    const extendedKeyPrefix = getExtendedKeyPrefix(formData.address);
 
     const handleChange = (e) => {
         setFormData({ ...formData, [e.target.name]: e.target.value });
     };
 
+    // Pasting an extended public key switches to a chain that accepts its prefix
+    const handleAddressChange = (e) => {
+        const address = e.target.value;
+        const prefix = getExtendedKeyPrefix(address);
+        const keyChain = prefix && !selectedChain?.extendedKeyPrefixes.includes(prefix)
+            ? chains.find(c => c.extendedKeyPrefixes.includes(prefix))
+            : null;
+
+        setFormData(keyChain
+            ? {
+                ...formData,
+                address,
+                chain: keyChain.id,
+                network: keyChain.networks[0]?.id || 'mainnet',
+                tokenAddress: '',
+                discover: false
+            }
+            : { ...formData, address });
+    };
+
+    // Load a saved wallet into the form, with its tracked tokens
+    const handleWalletSelect = (wallet) => {
+        setFormData({
+            ...formData,
+            address: wallet.address,
+            chain: wallet.chain,
+            network: wallet.network,
+            tokenAddress: wallet.tokens.join(', '),
+            discover: false,
+            verify: false,
+            utxos: false,
+            compare: false
+        });
+    };
+
     const setCurrentTime = () => {
         const now = new Date();
         const localIso = new Date(now.getTime() - (now.getTimezoneOffset() * 60000)).toISOString().slice(0, 19);
         setFormData(prev => ({ ...prev, date: localIso }));
     };
 
+    // Roll-forward between the two dates, one report per token (or the native balance)
+    const handleReportSubmit = async () => {
+        const tokens = formData.tokenAddress.split(/[\s,]+/).filter(Boolean);
+        const base = {
+            address: formData.address,
+            chain: formData.chain,
+            network: formData.network,
+            startDate: new Date(formData.date).toISOString(),
+            endDate: new Date(formData.endDate).toISOString()
+        };
+
+        const reports = await Promise.all((tokens.length > 0 ? tokens : [undefined]).map(async (tokenAddress) => {
+            try {
+                const res = await fetch('/api/balance/report', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ...base, tokenAddress }),
+                });
+                const data = await res.json();
+                return res.ok ? data : { tokenAddress, error: data.error || 'Failed to fetch report' };
+            } catch (err) {
+                return { tokenAddress, error: err.message };
+            }
+        }));
+
+        // A single failing report is shown as the form error rather than a table row
+        if (reports.length === 1 && reports[0].error) {
+            throw new Error(reports[0].error);
+        }
+        setReport(reports);
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setLoading(true);
         setError(null);
         setResult(null);
+        setReport(null);
+
+        if (formData.compare) {
+            try {
+                await handleReportSubmit();
+            } catch (err) {
+                setError(err.message);
+            } finally {
+                setLoading(false);
+            }
+            return;
+        }
 
         // Convert local time to UTC before sending
         const payload = { ...formData };
+        if (currency) payload.currency = currency;
         if (payload.date) {
             payload.date = new Date(payload.date).toISOString();
         }
 
+        // Discovery finds the tokens itself; several token addresses make a multi-token portfolio
+        const tokens = formData.tokenAddress.split(/[\s,]+/).filter(Boolean);
+        if (payload.discover) {
+            delete payload.tokenAddress;
+        } else if (tokens.length > 1) {
+            payload.tokenAddresses = tokens;
+            delete payload.tokenAddress;
+        }
+        if (!payload.discover) delete payload.discover;
+        if (!payload.verify) delete payload.verify;
+        if (!payload.utxos) delete payload.utxos;
+        delete payload.compare;
+        delete payload.endDate;
+
         try {
             const res = await fetch('/api/balance', {
                 method: 'POST',
@@ -57,10 +201,100 @@ export default function Home() {
         }
     };
 
+    // Re-price the current result in another currency without repeating the balance lookup
+    const handleCurrencyChange = async (e) => {
+        const nextCurrency = e.target.value;
+        setCurrency(nextCurrency);
+        if (!result) return;
+
+        if (!nextCurrency) {
+            setResult(prev => (prev.holdings
+                ? { ...prev, holdings: prev.holdings.map(({ fiat, ...holding }) => holding) }
+                : { ...prev, fiat: undefined }));
+            return;
+        }
+
+        setPriceLoading(true);
+        try {
+            const fetchFiat = async ({ balance, tokenAddress }) => {
+                const params = new URLSearchParams({
+                    chain: result.chain,
+                    network: result.network,
+                    balance,
+                    timestamp: String(result.timestamp),
+                    currency: nextCurrency
+                });
+                if (tokenAddress) params.set('tokenAddress', tokenAddress);
+
+                const res = await fetch(`/api/price?${params}`);
+                const data = await res.json();
+                return res.ok ? data : { currency: nextCurrency, error: data.error };
+            };
+
+            if (result.holdings) {
+                const holdings = await Promise.all(result.holdings.map(async (holding) => (
+                    holding.error ? holding : { ...holding, fiat: await fetchFiat(holding) }
+                )));
+                setResult(prev => ({ ...prev, holdings }));
+                return;
+            }
+
+            const fiat = await fetchFiat(result);
+            setResult(prev => ({ ...prev, fiat }));
+        } catch (err) {
+            setResult(prev => ({ ...prev, fiat: { currency: nextCurrency, error: err.message } }));
+        } finally {
+            setPriceLoading(false);
+        }
+    };
+
+    const handleSeriesChange = (e) => {
+        setSeriesForm({ ...seriesForm, [e.target.name]: e.target.value });
+    };
+
+    const handleSeriesSubmit = async (e) => {
+        e.preventDefault();
+        setSeriesLoading(true);
+        setSeriesError(null);
+        setSeries(null);
+
+        // Reuse the wallet selection from the balance form
+        const payload = {
+            address: formData.address,
+            chain: formData.chain,
+            network: formData.network,
+            tokenAddress: formData.tokenAddress,
+            interval: seriesForm.interval,
+            startDate: seriesForm.startDate ? new Date(seriesForm.startDate).toISOString() : '',
+            endDate: seriesForm.endDate ? new Date(seriesForm.endDate).toISOString() : ''
+        };
+
+        try {
+            const res = await fetch('/api/balance/series', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+            });
+
+            const data = await res.json();
+
+            if (!res.ok) {
+                throw new Error(data.error || 'Failed to fetch balance history');
+            }
+
+            setSeries(data);
+        } catch (err) {
+            setSeriesError(err.message);
+        } finally {
+            setSeriesLoading(false);
+        }
+    };
+
     return (
         <main className="container">
             <div className="card">
                 <h1>Wallet Balance Explorer</h1>
+                <Link href="/history">Daily snapshot history →</Link>
 
                 <form onSubmit={handleSubmit}>
                     <div className="form-group">
@@ -69,16 +303,23 @@ export default function Home() {
                             id="address"
                             name="address"
                             type="text"
-                            placeholder={formData.chain === 'tron' ? 'T...' : (formData.chain === 'bitcoin' || formData.chain === 'litecoin') ? 'Address...' : '0x...'}
+                            placeholder={selectedChain?.addressPlaceholder || '0x...'}
                             required
                             value={formData.address}
-                            onChange={handleChange}
+                            onChange={handleAddressChange}
                         />
+                        {extendedKeyPrefix && (selectedChain?.extendedKeyPrefixes.includes(extendedKeyPrefix) ? (
+                            <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem' }}>
+                                Extended public key ({extendedKeyPrefix}): receive and change addresses are derived and scanned until 20 unused in a row
+                            </div>
+                        ) : (
+                            <div className="row-error">{selectedChain?.name || 'This chain'} does not accept {extendedKeyPrefix} keys</div>
+                        ))}
                     </div>
 
                     <div className="form-group">
                         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
-                            <label htmlFor="date" style={{ marginBottom: 0 }}>Date & Time (Local)</label>
+                            <label htmlFor="date" style={{ marginBottom: 0 }}>{formData.compare ? 'From' : 'Date & Time'} (Local)</label>
                             <button
                                 type="button"
                                 onClick={setCurrentTime}
@@ -105,6 +346,20 @@ export default function Home() {
                             value={formData.date}
                             onChange={handleChange}
                         />
+                        {formData.compare && (
+                            <>
+                                <label htmlFor="compareEndDate" style={{ marginTop: '0.75rem' }}>To (Local)</label>
+                                <input
+                                    id="compareEndDate"
+                                    name="endDate"
+                                    type="datetime-local"
+                                    step="1"
+                                    required
+                                    value={formData.endDate}
+                                    onChange={handleChange}
+                                />
+                            </>
+                        )}
                         <div style={{ fontSize: '0.75rem', color: '#64748b', marginTop: '0.25rem', textAlign: 'right' }}>
                             Timezone: {Intl.DateTimeFormat().resolvedOptions().timeZone}
                         </div>
@@ -113,21 +368,21 @@ export default function Home() {
                     <div className="form-group">
                         <label>Chain</label>
                         <div className="chain-grid">
-                            {[
-                                { id: 'ethereum', name: 'Ethereum', icon: '/icons/ethereum.png' },
-                                { id: 'polygon', name: 'Polygon', icon: '/icons/polygon.png' },
-                                { id: 'bsc', name: 'BSC', icon: '/icons/bsc.png' },
-                                { id: 'tron', name: 'Tron', icon: '/icons/tron.png' },
-                                { id: 'bitcoin', name: 'Bitcoin', icon: '/icons/bitcoin.png' },
-                                { id: 'litecoin', name: 'Litecoin', icon: '/icons/litecoin.png' }
-                            ].map((chain) => (
+                            {chains.map((chain) => (
                                 <div
                                     key={chain.id}
                                     className={`chain-option ${formData.chain === chain.id ? 'selected' : ''}`}
                                     onClick={() => {
-                                        let defaultNetwork = 'mainnet';
-                                        if (chain.id === 'tron') defaultNetwork = 'mainnet';
-                                        setFormData({ ...formData, chain: chain.id, network: defaultNetwork });
+                                        setFormData({
+                                            ...formData,
+                                            chain: chain.id,
+                                            network: chain.networks[0]?.id || 'mainnet',
+                                            tokenAddress: chain.supportsTokens ? formData.tokenAddress : '',
+                                            discover: chain.supportsDiscovery ? formData.discover : false,
+                                            verify: chain.supportsVerify ? formData.verify : false,
+                                            utxos: chain.supportsUtxos ? formData.utxos : false,
+                                            compare: chain.supportsMovements ? formData.compare : false
+                                        });
                                     }}
                                 >
                                     <img src={chain.icon} alt={chain.name} className="chain-icon" />
@@ -146,11 +401,9 @@ export default function Home() {
                                 value={formData.network}
                                 onChange={handleChange}
                             >
-                                <option value="mainnet">Mainnet</option>
-                                {formData.chain === 'ethereum' && <option value="sepolia">Sepolia</option>}
-                                {formData.chain === 'polygon' && <option value="amoy">Amoy</option>}
-                                {formData.chain === 'bsc' && <option value="testnet">Testnet</option>}
-                                {formData.chain === 'tron' && <option value="shasta">Shasta</option>}
+                                {(selectedChain?.networks || [{ id: 'mainnet', label: 'Mainnet' }]).map((network) => (
+                                    <option key={network.id} value={network.id}>{network.label}</option>
+                                ))}
                             </select>
                         </div>
 
@@ -160,14 +413,57 @@ export default function Home() {
                                 id="tokenAddress"
                                 name="tokenAddress"
                                 type="text"
-                                placeholder="Native if empty"
+                                placeholder={selectedChain?.kind === 'evm' ? 'Native if empty, comma-separate for several' : 'Native if empty'}
                                 value={formData.tokenAddress}
                                 onChange={handleChange}
-                                disabled={formData.chain === 'bitcoin' || formData.chain === 'litecoin'}
+                                disabled={formData.discover || (selectedChain ? !selectedChain.supportsTokens : false)}
                             />
                         </div>
                     </div>
 
+                    {selectedChain?.supportsDiscovery && (
+                        <label className="checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={formData.discover}
+                                onChange={(e) => setFormData({ ...formData, discover: e.target.checked, compare: false })}
+                            />
+                            Discover every token held (from transfer history)
+                        </label>
+                    )}
+
+                    {selectedChain?.supportsVerify && (
+                        <label className="checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={formData.verify}
+                                onChange={(e) => setFormData({ ...formData, verify: e.target.checked, utxos: false, compare: false })}
+                            />
+                            Verify the replay against the current node balance
+                        </label>
+                    )}
+
+                    {selectedChain?.supportsUtxos && (
+                        <label className="checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={formData.utxos}
+                                onChange={(e) => setFormData({ ...formData, utxos: e.target.checked, verify: false, compare: false })}
+                            />
+                            List the unspent outputs (UTXOs) held at this time
+                        </label>
+                    )}
+
+                    {selectedChain?.supportsMovements && (
+                        <label className="checkbox-label">
+                            <input
+                                type="checkbox"
+                                checked={formData.compare}
+                                onChange={(e) => setFormData({ ...formData, compare: e.target.checked, discover: false, verify: false, utxos: false })}
+                            />
+                            Compare two dates (opening, inflows, outflows, fees and closing balance)
+                        </label>
+                    )}
 
 
                     <div className="btn-group">
@@ -180,16 +476,22 @@ export default function Home() {
                                     date: '',
                                     chain: 'ethereum',
                                     network: 'mainnet',
-                                    tokenAddress: ''
+                                    tokenAddress: '',
+                                    discover: false,
+                                    verify: false,
+                                    utxos: false,
+                                    compare: false,
+                                    endDate: ''
                                 });
                                 setResult(null);
+                                setReport(null);
                                 setError(null);
                             }}
                         >
                             Clear
                         </button>
                         <button type="submit" disabled={loading}>
-                            {loading ? <div className="spinner"></div> : 'Check Balance'}
+                            {loading ? <div className="spinner"></div> : formData.compare ? 'Compare Balances' : 'Check Balance'}
                         </button>
                     </div>
                 </form >
@@ -200,21 +502,210 @@ export default function Home() {
                 {
                     result && (
                         <div className="result">
-                            <div className="result-item">
-                                <span className="result-label">Balance</span>
-                                <span className="result-value">{result.balance} {result.symbol}</span>
+                            {!result.holdings && (
+                                <div className="result-item">
+                                    <span className="result-label">Balance</span>
+                                    <span className="result-value">
+                                        {result.balance} {result.symbol}
+                                        {result.cache?.balance === 'hit' && <span className="result-muted"> (cached)</span>}
+                                        {result.verification && (
+                                            <span
+                                                className={`status-badge ${VERIFICATION_BADGES[result.verification.confidence].className}`}
+                                                style={{ marginLeft: '0.5rem' }}
+                                                title={result.verification.error || `Replay to now: ${result.verification.replayedNow}, node: ${result.verification.nodeBalance} (${result.verification.source})`}
+                                            >
+                                                {VERIFICATION_BADGES[result.verification.confidence].label}
+                                            </span>
+                                        )}
+                                    </span>
+                                </div>
+                            )}
+                            {result.verification && !result.verification.matches && (
+                                <div className="result-note">
+                                    {result.verification.error || `Replaying to now gives ${result.verification.replayedNow} ${result.symbol} but the node reports ${result.verification.nodeBalance} ${result.symbol} (difference ${result.verification.discrepancy}). The historical balance may be off by a similar amount.`}
+                                </div>
+                            )}
+                            {result.breakdown && (
+                                <div className="breakdown">
+                                    {[
+                                        ['transfers', 'Transfers'],
+                                        ['feesBurned', 'Fees burned'],
+                                        ['staked', 'Staked'],
+                                        ['rewards', 'Rewards']
+                                    ].map(([key, label]) => (
+                                        <div key={key} className="breakdown-item">
+                                            <span>{label}</span>
+                                            <span className="mono">{result.breakdown[key]} {result.symbol}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                            {result.account && (
+                                <div className="breakdown">
+                                    {[
+                                        ['Available', result.account.available],
+                                        ['Frozen for energy', result.account.frozen.energy],
+                                        ['Frozen for bandwidth', result.account.frozen.bandwidth],
+                                        ['Delegated out', `${result.account.delegatedOut.energy} energy / ${result.account.delegatedOut.bandwidth} bandwidth`],
+                                        ['Delegated in', `${result.account.delegatedIn.energy} energy / ${result.account.delegatedIn.bandwidth} bandwidth`],
+                                        ['Total owned', result.account.total]
+                                    ].map(([label, value]) => (
+                                        <div key={label} className="breakdown-item">
+                                            <span>{label}</span>
+                                            <span className="mono">{value} {result.symbol}</span>
+                                        </div>
+                                    ))}
+                                    {result.account.unfreezing.map((entry, i) => (
+                                        <div key={i} className="breakdown-item">
+                                            <span>Unfreezing ({entry.resource})</span>
+                                            <span className="mono">
+                                                {entry.amount} {result.symbol}, {entry.withdrawable ? 'withdrawable' : 'unlocks'} {new Date(entry.unlockAt * 1000).toLocaleString('en-GB')}
+                                            </span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                            <div className="result-item" style={{ alignItems: 'center' }}>
+                                <span className="result-label">
+                                    Value in{' '}
+                                    <select className="inline-select" value={currency} onChange={handleCurrencyChange} disabled={priceLoading}>
+                                        <option value="">-</option>
+                                        <option value="usd">USD</option>
+                                        <option value="eur">EUR</option>
+                                        <option value="gbp">GBP</option>
+                                        <option value="sgd">SGD</option>
+                                        <option value="jpy">JPY</option>
+                                    </select>
+                                </span>
+                                {!currency ? (
+                                    <span className="result-muted">Pick a currency</span>
+                                ) : result.holdings ? (
+                                    <span className="result-muted">per holding below</span>
+                                ) : (
+                                    <span className="result-value" title={result.fiat?.priceTimestamp ? `${result.fiat.price} per ${result.symbol} at ${new Date(result.fiat.priceTimestamp * 1000).toLocaleString('en-GB')} (${result.fiat.priceSource})` : undefined}>
+                                        {priceLoading ? '...' : result.fiat?.value != null
+                                            ? `${Number(result.fiat.value).toLocaleString('en-GB', { minimumFractionDigits: 2 })} ${result.fiat.currency.toUpperCase()}`
+                                            : <span className="result-muted">{result.fiat?.error || 'Unavailable'}</span>}
+                                    </span>
+                                )}
                             </div>
                             <div className="result-item">
                                 <span className="result-label">Block Number</span>
-                                <span className="result-value">#{result.blockNumber}</span>
+                                <span className="result-value">
+                                    #{result.blockNumber}
+                                    {result.cache?.block === 'hit' && <span className="result-muted"> (cached)</span>}
+                                </span>
                             </div>
                             <div className="result-item">
                                 <span className="result-label">Timestamp</span>
                                 <span className="result-value">{new Date(result.timestamp * 1000).toLocaleString('en-GB')}</span>
                             </div>
+                            {result.holdings && <HoldingsTable holdings={result.holdings} />}
+                            {result.addresses && <DerivedAddressesTable addresses={result.addresses} symbol={result.symbol} />}
+                            {result.utxos && <UtxoTable utxos={result.utxos} symbol={result.symbol} />}
+                            {result.discovery && (
+                                <div className="result-note">
+                                    {result.discovery.tokensSeen} token contract(s) seen; hidden: {result.discovery.excluded.zero} zero balance, {result.discovery.excluded.spam} likely spam
+                                    {result.discovery.excluded.unknown > 0 && `, ${result.discovery.excluded.unknown} unknown`}
+                                    {result.discovery.truncated && '. Transfer history was truncated, older tokens may be missing'}
+                                </div>
+                            )}
+                            {result.note && <div className="result-note">{result.note}</div>}
+                            {result.limits?.map(limit => (
+                                <div key={limit.listing} className="result-note row-error">
+                                    Incomplete history ({limit.listing}, {limit.fetched} fetched): {limit.reason}
+                                </div>
+                            ))}
+                            <ExportMenu kind="balance" data={result} />
                         </div>
                     )
                 }
+
+                {report && <PeriodReport reports={report} />}
+
+                <h2 className="section-title">Saved Wallets</h2>
+                <WalletBook
+                    current={{
+                        address: formData.address.trim(),
+                        chain: formData.chain,
+                        network: formData.network,
+                        tokens: formData.tokenAddress
+                    }}
+                    chains={chains}
+                    onSelect={handleWalletSelect}
+                />
+
+                <h2 className="section-title">Balance History</h2>
+                <form onSubmit={handleSeriesSubmit}>
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '1rem' }}>
+                        <div className="form-group">
+                            <label htmlFor="startDate">From (Local)</label>
+                            <input
+                                id="startDate"
+                                name="startDate"
+                                type="datetime-local"
+                                step="1"
+                                required
+                                value={seriesForm.startDate}
+                                onChange={handleSeriesChange}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="endDate">To (Local)</label>
+                            <input
+                                id="endDate"
+                                name="endDate"
+                                type="datetime-local"
+                                step="1"
+                                required
+                                value={seriesForm.endDate}
+                                onChange={handleSeriesChange}
+                            />
+                        </div>
+                        <div className="form-group">
+                            <label htmlFor="interval">Interval</label>
+                            <select
+                                id="interval"
+                                name="interval"
+                                value={seriesForm.interval}
+                                onChange={handleSeriesChange}
+                            >
+                                <option value="hourly">Hourly</option>
+                                <option value="daily">Daily</option>
+                                <option value="weekly">Weekly</option>
+                                <option value="monthly">Monthly</option>
+                            </select>
+                        </div>
+                    </div>
+
+                    <button type="submit" disabled={seriesLoading || !formData.address}>
+                        {seriesLoading ? <div className="spinner"></div> : 'Load History'}
+                    </button>
+                </form>
+
+                {seriesError && <div className="error">{seriesError}</div>}
+
+                {series && <BalanceChart points={series.points} symbol={series.symbol} />}
+                {series?.limits?.map(limit => (
+                    <div key={limit.listing} className="result-note row-error">
+                        Incomplete history ({limit.listing}, {limit.fetched} fetched): {limit.reason}
+                    </div>
+                ))}
+
+                <h2 className="section-title">Transactions</h2>
+                {selectedChain?.supportsMovements ? (
+                    <TransactionLedger
+                        address={formData.address.trim()}
+                        chain={formData.chain}
+                        network={formData.network}
+                        tokenAddress={formData.tokenAddress.trim() || undefined}
+                    />
+                ) : (
+                    <div className="result-note">Transaction ledgers are not available for {selectedChain?.name || 'this chain'}.</div>
+                )}
+
+                <h2 className="section-title">Bulk Lookup (CSV)</h2>
+                <CsvImport />
             </div >
         </main >
     );
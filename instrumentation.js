@@ -0,0 +1,7 @@
+// Runs once when the Next.js server starts
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== 'nodejs' || process.env.NEXT_PHASE === 'phase-production-build') return;
+
+  const { startSnapshotScheduler } = await import('@/lib/scheduler');
+  startSnapshotScheduler();
+}
@@ -0,0 +1,54 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseCsvObjects } from '@/lib/csv';
+
+// Ledger account codes for wallets, read from the CSV at ACCOUNT_MAP_PATH (default
+// data/accounts.csv, format in data/accounts.example.csv) with columns:
+//   chain,address,account
+// `chain` or `address` may be `*` to set a default for a chain or for every wallet.
+// Journal entries book the other side of transfers to JOURNAL_CLEARING_ACCOUNT, fees to
+// JOURNAL_FEE_ACCOUNT, staked funds to JOURNAL_STAKED_ACCOUNT and staking rewards to
+// JOURNAL_REWARD_ACCOUNT.
+let cache = null;
+
+const getMapPath = () => path.resolve(process.cwd(), process.env.ACCOUNT_MAP_PATH || 'data/accounts.csv');
+
+// EVM addresses are compared case-insensitively, everything else as written
+const normalizeAddress = (address) => (/^0x/i.test(address) ? address.toLowerCase() : address);
+
+async function loadMap() {
+  const filePath = getMapPath();
+  let stat;
+  try {
+    stat = await fs.stat(filePath);
+  } catch {
+    return new Map(); // No map configured
+  }
+
+  // Reload when the file changes
+  if (cache && cache.filePath === filePath && cache.mtimeMs === stat.mtimeMs) return cache.map;
+
+  const map = new Map();
+  for (const row of parseCsvObjects(await fs.readFile(filePath, 'utf8'))) {
+    if (!row.chain || !row.address || !row.account) continue;
+    map.set(`${row.chain.toLowerCase()}:${normalizeAddress(row.address)}`, row.account);
+  }
+
+  cache = { filePath, mtimeMs: stat.mtimeMs, map };
+  return map;
+}
+
+// Account code of the wallet, falling back to the chain's and then the global default.
+// Unmapped wallets are booked to their address.
+export async function getWalletAccount(chain, address) {
+  const map = await loadMap();
+  const key = normalizeAddress(address);
+  return map.get(`${chain}:${key}`) || map.get(`*:${key}`) || map.get(`${chain}:*`) || map.get('*:*') || address;
+}
+
+export const getJournalAccounts = () => ({
+  clearing: process.env.JOURNAL_CLEARING_ACCOUNT || 'Crypto clearing',
+  fees: process.env.JOURNAL_FEE_ACCOUNT || 'Network fees',
+  staked: process.env.JOURNAL_STAKED_ACCOUNT || 'Staked assets',
+  rewards: process.env.JOURNAL_REWARD_ACCOUNT || 'Staking rewards'
+});
@@ -0,0 +1,147 @@
+import bs58 from 'bs58';
+import { getBytes, sha256 } from 'ethers';
+
+// Decode a Base58Check string and verify its checksum.
+// Returns the payload bytes (version byte included) or null when invalid.
+export function decodeBase58Check(value) {
+  let bytes;
+  try {
+    bytes = bs58.decode(value);
+  } catch {
+    return null;
+  }
+  if (bytes.length < 5) return null;
+
+  const payload = bytes.slice(0, -4);
+  const checksum = Buffer.from(bytes.slice(-4)).toString('hex');
+  const expected = sha256(sha256(payload)).slice(2, 10);
+  return checksum === expected ? payload : null;
+}
+
+// Base58Check encoding of payload bytes (version byte included)
+export function encodeBase58Check(payload) {
+  const checksum = getBytes(sha256(sha256(payload))).slice(0, 4);
+  return bs58.encode(Uint8Array.from([...payload, ...checksum]));
+}
+
+// Base58Check address with a 20 byte hash and one of the given version bytes
+export function isBase58CheckAddress(address, versions) {
+  const payload = decodeBase58Check(address);
+  return !!payload && payload.length === 21 && versions.includes(payload[0]);
+}
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+function bech32Polymod(values) {
+  const generators = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let chk = 1;
+  for (const value of values) {
+    const top = chk >>> 25;
+    chk = ((chk & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) chk ^= generators[i];
+    }
+  }
+  return chk >>> 0;
+}
+
+function bech32HrpExpand(hrp) {
+  const chars = [...hrp].map(c => c.charCodeAt(0));
+  return [...chars.map(c => c >> 5), 0, ...chars.map(c => c & 31)];
+}
+
+// Decode a segwit address (bech32 for v0, bech32m for v1+) with the given human-readable
+// part into { witnessVersion, program }, or null when invalid
+export function decodeSegwitAddress(address, hrp) {
+  if (address !== address.toLowerCase() && address !== address.toUpperCase()) return null;
+
+  const lower = address.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || lower.slice(0, separator) !== hrp || lower.length > 90) return null;
+
+  const data = [...lower.slice(separator + 1)].map(c => BECH32_CHARSET.indexOf(c));
+  if (data.length < 7 || data.includes(-1)) return null;
+
+  const witnessVersion = data[0];
+  const expectedConst = witnessVersion === 0 ? BECH32_CONST : BECH32M_CONST;
+  if (witnessVersion > 16 || bech32Polymod([...bech32HrpExpand(hrp), ...data]) !== expectedConst) return null;
+
+  return { witnessVersion, program: convertBits(data.slice(1, -6), 5, 8, false) };
+}
+
+export const isBech32Address = (address, hrp) => decodeSegwitAddress(address, hrp) !== null;
+
+// Regroup bits, e.g. 8-bit bytes into the 5-bit words bech32 encodes.
+// Decoding drops the zero padding instead of emitting it.
+function convertBits(data, fromBits, toBits, pad = true) {
+  const words = [];
+  let acc = 0;
+  let bits = 0;
+  for (const value of data) {
+    acc = (acc << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      words.push((acc >> bits) & ((1 << toBits) - 1));
+    }
+  }
+  if (pad && bits > 0) words.push((acc << (toBits - bits)) & ((1 << toBits) - 1));
+  return words;
+}
+
+// Segwit address for a witness program (bytes), bech32 for v0 and bech32m for v1+
+export function encodeSegwitAddress(hrp, witnessVersion, program) {
+  const data = [witnessVersion, ...convertBits(program, 8, 5)];
+  const constant = witnessVersion === 0 ? BECH32_CONST : BECH32M_CONST;
+  const polymod = bech32Polymod([...bech32HrpExpand(hrp), ...data, 0, 0, 0, 0, 0, 0]) ^ constant;
+  const checksum = [0, 1, 2, 3, 4, 5].map(i => (polymod >>> (5 * (5 - i))) & 31);
+  return `${hrp}1${[...data, ...checksum].map(d => BECH32_CHARSET[d]).join('')}`;
+}
+
+const CASHADDR_GENERATORS = [0x98f2bc8e61n, 0x79b76d99e2n, 0xf33e5fb3c4n, 0xae2eabe2a8n, 0x1e4f43e470n];
+
+function cashAddrPolymod(values) {
+  let chk = 1n;
+  for (const value of values) {
+    const top = chk >> 35n;
+    chk = ((chk & 0x07ffffffffn) << 5n) ^ BigInt(value);
+    for (let i = 0; i < 5; i++) {
+      if ((top >> BigInt(i)) & 1n) chk ^= CASHADDR_GENERATORS[i];
+    }
+  }
+  return chk ^ 1n;
+}
+
+const cashAddrPrefixWords = (prefix) => [...[...prefix].map(c => c.charCodeAt(0) & 31), 0];
+
+// CashAddr types, from the version byte's type bits
+const CASHADDR_TYPES = { p2pkh: 0, p2sh: 1 };
+
+// Decode a Bitcoin Cash CashAddr (with or without the "prefix:" part) into { type, hash }
+// where type is 'p2pkh' or 'p2sh', or null when invalid. Only 20 byte hashes are accepted.
+export function decodeCashAddress(address, prefix) {
+  if (!prefix || address !== address.toLowerCase() && address !== address.toUpperCase()) return null;
+
+  const lower = address.toLowerCase();
+  const separator = lower.indexOf(':');
+  if (separator >= 0 && lower.slice(0, separator) !== prefix) return null;
+
+  const data = [...lower.slice(separator + 1)].map(c => BECH32_CHARSET.indexOf(c));
+  if (data.length !== 42 || data.includes(-1)) return null;
+  if (cashAddrPolymod([...cashAddrPrefixWords(prefix), ...data]) !== 0n) return null;
+
+  const [version, ...hash] = convertBits(data.slice(0, -8), 5, 8, false);
+  const type = Object.keys(CASHADDR_TYPES).find(name => CASHADDR_TYPES[name] === version >> 3);
+  if (!type || (version & 7) !== 0) return null;
+  return { type, hash: Uint8Array.from(hash) };
+}
+
+// CashAddr with its prefix for a 20 byte hash of the given type ('p2pkh' or 'p2sh')
+export function encodeCashAddress(prefix, type, hash) {
+  const data = convertBits([CASHADDR_TYPES[type] << 3, ...hash], 8, 5);
+  const polymod = cashAddrPolymod([...cashAddrPrefixWords(prefix), ...data, 0, 0, 0, 0, 0, 0, 0, 0]);
+  const checksum = [0, 1, 2, 3, 4, 5, 6, 7].map(i => Number((polymod >> BigInt(5 * (7 - i))) & 31n));
+  return `${prefix}:${[...data, ...checksum].map(d => BECH32_CHARSET[d]).join('')}`;
+}
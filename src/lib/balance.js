@@ -0,0 +1,265 @@
+import { findChain, getChain } from '@/lib/chains';
+import { getFiatValuation, isValidCurrency } from '@/lib/pricing';
+import { getHistoricalDiscovery } from '@/lib/discovery';
+import { getVerifiedBalance } from '@/lib/verify';
+import { getCachedBalance, getCachedBlock, isCacheEnabled, setCachedBalance, setCachedBlock } from '@/lib/cache';
+
+// Upstream service each lookup step hits, used to apply per-provider rate limits
+const resolveProvider = (provider, network) => (typeof provider === 'function' ? provider(network) : provider);
+export const getBlockProvider = (chain, network) => resolveProvider(getChain(chain).blockProvider, network);
+export const getBalanceProvider = (chain, network) => resolveProvider(getChain(chain).balanceProvider, network);
+
+// Timestamps older than the chain's finality window map to blocks and balances that won't change
+const isCacheable = (adapter, timestamp) => (
+  isCacheEnabled() && Math.floor(Date.now() / 1000) - timestamp > adapter.finalitySeconds
+);
+
+// Block at a timestamp, served from the local cache once the timestamp is final.
+// `cache` is 'hit', 'miss' (looked up, then stored) or 'bypass' (too recent, or caching is off).
+export async function resolveBlockNumber(chain, network, timestamp) {
+  const adapter = getChain(chain);
+  if (!isCacheable(adapter, timestamp)) {
+    return { blockNumber: await adapter.getBlockNumberByTimestamp(network, timestamp), cache: 'bypass' };
+  }
+
+  const cached = await getCachedBlock(chain, network, timestamp);
+  if (cached !== undefined) {
+    return { blockNumber: cached, cache: 'hit' };
+  }
+
+  const blockNumber = await adapter.getBlockNumberByTimestamp(network, timestamp);
+  if (!isNaN(blockNumber)) {
+    await setCachedBlock(chain, network, timestamp, Number(blockNumber));
+  }
+  return { blockNumber, cache: 'miss' };
+}
+
+export async function getBlockNumberByTimestamp(chain, network, timestamp) {
+  return (await resolveBlockNumber(chain, network, timestamp)).blockNumber;
+}
+
+// Chains whose balances come from replaying history rather than a state query
+export const isReplayChain = (chain) => typeof getChain(chain).getReplayedBalances === 'function';
+
+// Balances for replay chains at many timestamps (seconds), computed from one
+// history fetch instead of one full replay per timestamp.
+export async function getReplayedBalances(params, timestamps) {
+  return getChain(params.chain).getReplayedBalances(params, timestamps);
+}
+
+export const MAX_PORTFOLIO_TOKENS = 100;
+
+// Check chain, network, address and token against the chain registry.
+// Returns an error message, or null when the target is valid.
+export function validateLookupTarget({ address, chain, network, tokenAddress, tokenAddresses, discover, verify, utxos, movements }) {
+  const adapter = findChain(chain);
+  if (!adapter) return `Unsupported chain: ${chain}`;
+  if (!adapter.networks[network]) return `Unsupported network for ${adapter.name}: ${network}`;
+  if (!adapter.validateAddress(address, network)) return `Invalid ${adapter.name} address`;
+
+  if (tokenAddress) {
+    if (!adapter.supportsTokens) return `Token lookups are not supported on ${adapter.name}`;
+    const validateToken = adapter.validateTokenAddress || adapter.validateAddress;
+    if (!validateToken(tokenAddress, network)) return 'Invalid Token Address';
+  }
+
+  if (tokenAddresses) {
+    if (typeof adapter.getPortfolio !== 'function') return `Multi-token lookups are not supported on ${adapter.name}`;
+    const invalid = tokenAddresses.find(token => !adapter.validateAddress(token, network));
+    if (invalid) return `Invalid Token Address: ${invalid}`;
+  }
+
+  if (discover && typeof adapter.discoverHoldings !== 'function') {
+    return `Holdings discovery is not supported on ${adapter.name}`;
+  }
+
+  if (verify && typeof adapter.getCurrentBalance !== 'function') {
+    return `Balance verification is not supported on ${adapter.name}`;
+  }
+
+  if (utxos && typeof adapter.getUtxoSnapshot !== 'function') {
+    return `UTXO listing is not supported on ${adapter.name}`;
+  }
+
+  if (movements && typeof adapter.getMovements !== 'function') {
+    return `Transaction ledgers are not supported on ${adapter.name}`;
+  }
+
+  return null;
+}
+
+// Validate a balance request body and normalise it into lookup params.
+// Returns { error } for bad input so callers can decide how to report it.
+export function parseBalanceRequest(body) {
+  let { address, chain = 'ethereum', network = 'mainnet', date, tokenAddress, tokenAddresses, includeNative = true, discover, verify, utxos, currency } = body || {};
+
+  if (!address || !date) {
+    return { error: 'Address and Date are required' };
+  }
+
+  // Clean inputs
+  address = String(address).trim();
+  if (tokenAddress) tokenAddress = String(tokenAddress).trim();
+  if (currency) currency = String(currency).trim().toLowerCase();
+
+  if (tokenAddresses !== undefined) {
+    if (!Array.isArray(tokenAddresses)) {
+      return { error: 'tokenAddresses must be an array' };
+    }
+    // De-duplicate so each token is queried once
+    tokenAddresses = [...new Set(tokenAddresses.map(token => String(token).trim()).filter(Boolean))];
+    if (tokenAddress) {
+      return { error: 'Use either tokenAddress or tokenAddresses, not both' };
+    }
+    if (tokenAddresses.length > MAX_PORTFOLIO_TOKENS) {
+      return { error: `At most ${MAX_PORTFOLIO_TOKENS} tokenAddresses per request` };
+    }
+  }
+
+  if (currency && !isValidCurrency(currency)) {
+    return { error: 'Currency must be a 3 letter code like "usd"' };
+  }
+
+  // Parse date to timestamp
+  const ts = Math.floor(new Date(date).getTime() / 1000);
+
+  if (isNaN(ts)) {
+    return { error: 'Invalid Date' };
+  }
+
+  if (discover && (tokenAddress || tokenAddresses)) {
+    return { error: 'Discovery finds tokens itself; leave tokenAddress and tokenAddresses empty' };
+  }
+
+  if (verify && (discover || tokenAddresses)) {
+    return { error: 'Verification only applies to single balance lookups' };
+  }
+
+  if (utxos && (verify || discover || tokenAddress || tokenAddresses)) {
+    return { error: 'UTXO listing only applies to native balance lookups without verification' };
+  }
+
+  const error = validateLookupTarget({ address, chain, network, tokenAddress, tokenAddresses, discover, verify, utxos });
+  if (error) {
+    return { error };
+  }
+
+  const params = { address, chain, network, date, tokenAddress, ts, currency };
+  if (tokenAddresses || discover) {
+    params.includeNative = includeNative !== false;
+  }
+  if (tokenAddresses) params.tokenAddresses = tokenAddresses;
+  if (discover) params.discover = discover;
+  if (verify) params.verify = true;
+  if (utxos) params.utxos = true;
+  return { params };
+}
+
+// Native plus many token balances at one block (EVM Multicall3), with per-holding errors
+async function getHistoricalPortfolio(adapter, { address, chain, network, date, ts, currency, tokenAddresses, includeNative }, blockNumber) {
+  const { holdings, note } = await adapter.getPortfolio({ address, tokenAddresses, includeNative, network, blockNumber });
+
+  if (currency) {
+    await Promise.all(holdings.map(async (holding) => {
+      if (holding.error) return;
+      holding.fiat = await getFiatValuation({
+        chain,
+        network,
+        tokenAddress: holding.tokenAddress,
+        balance: holding.balance,
+        timestamp: ts,
+        currency
+      });
+    }));
+  }
+
+  return {
+    chain,
+    network,
+    address,
+    date,
+    timestamp: ts,
+    blockNumber,
+    holdings,
+    ...(note && { note })
+  };
+}
+
+// Single balance at a block; finalized results come from (and go to) the local cache.
+// Verified lookups always replay afresh so the check reflects the current history, and
+// UTXO listings skip the cache, which only holds balances. Replays cut short by a listing
+// limit are incomplete, so they aren't cached either.
+async function getBlockBalance(adapter, { address, chain, network, tokenAddress, ts, verify, utxos }, blockNumber) {
+  if (verify) {
+    const { result, verification } = await getVerifiedBalance(adapter, { address, network, tokenAddress, ts });
+    return { result: { ...result, verification }, cache: 'bypass' };
+  }
+
+  if (utxos) {
+    return { result: await adapter.getUtxoSnapshot({ address, network, blockNumber, ts }), cache: 'bypass' };
+  }
+
+  const cacheable = isCacheable(adapter, ts);
+  const target = { chain, network, address, tokenAddress, blockNumber, ...(cacheable && { source: adapter.getBalanceSource?.(network) }) };
+
+  if (cacheable) {
+    const cached = await getCachedBalance(target);
+    if (cached) return { result: cached, cache: 'hit' };
+  }
+
+  const lookup = { address, network, tokenAddress, blockNumber, ts };
+  const result = tokenAddress
+    ? await adapter.getTokenBalance(lookup)
+    : await adapter.getNativeBalance(lookup);
+
+  const complete = !result.limits?.length;
+  if (cacheable && complete) await setCachedBalance(target, result);
+  return { result, cache: cacheable && complete ? 'miss' : 'bypass' };
+}
+
+// Look up the balance described by parseBalanceRequest params.
+// blockNumber can be passed in when the caller has already resolved it (e.g. batch lookups),
+// along with the block's cache status. Responses carry `cache: { block, balance }` hit indicators.
+// When a currency is given the response also carries a fiat block priced at `ts`.
+export async function getHistoricalBalance(params, blockNumber, blockCache) {
+  const { address, chain, network, date, tokenAddress, ts, currency } = params;
+  const adapter = getChain(chain);
+
+  if (blockNumber === undefined) {
+    ({ blockNumber, cache: blockCache } = await resolveBlockNumber(chain, network, ts));
+  }
+
+  if (isNaN(blockNumber)) {
+    throw new Error(`Failed to get valid block number. Got: ${blockNumber}`);
+  }
+
+  if (params.discover) {
+    const response = await getHistoricalDiscovery(adapter, params, blockNumber);
+    return { ...response, cache: { block: blockCache } };
+  }
+
+  if (params.tokenAddresses) {
+    const response = await getHistoricalPortfolio(adapter, params, blockNumber);
+    return { ...response, cache: { block: blockCache } };
+  }
+
+  const { result, cache: balanceCache } = await getBlockBalance(adapter, params, blockNumber);
+
+  const response = {
+    chain,
+    network,
+    address,
+    date,
+    timestamp: ts,
+    blockNumber,
+    tokenAddress,
+    ...result,
+    cache: { block: blockCache, balance: balanceCache }
+  };
+
+  if (currency) {
+    response.fiat = await getFiatValuation({ chain, network, tokenAddress, balance: result.balance, timestamp: ts, currency });
+  }
+
+  return response;
+}
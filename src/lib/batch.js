@@ -0,0 +1,73 @@
+import {
+  parseBalanceRequest,
+  getHistoricalBalance,
+  resolveBlockNumber,
+  getBlockProvider,
+  getBalanceProvider
+} from '@/lib/balance';
+import { createProviderLimiters } from '@/lib/limiter';
+
+export const MAX_BATCH_SIZE = 500;
+
+// Run many balance lookups at once. Each distinct (chain, network, timestamp)
+// block is resolved a single time, and every item gets its own result or error
+// so one bad entry doesn't fail the rest.
+export async function runBalanceBatch(items) {
+  const limiterFor = createProviderLimiters();
+  const results = new Array(items.length);
+  const blockLookups = new Map();
+
+  const parsed = items.map((item, index) => {
+    const { params, error } = parseBalanceRequest(item);
+    if (error) {
+      const input = item && typeof item === 'object' ? item : {};
+      results[index] = { index, ok: false, ...input, error };
+      return null;
+    }
+    return params;
+  });
+
+  const resolveBlock = ({ chain, network, ts }) => {
+    const key = `${chain}:${network}:${ts}`;
+    if (!blockLookups.has(key)) {
+      const limit = limiterFor(getBlockProvider(chain, network));
+      blockLookups.set(key, limit(() => resolveBlockNumber(chain, network, ts)));
+    }
+    return blockLookups.get(key);
+  };
+
+  await Promise.all(parsed.map(async (params, index) => {
+    if (!params) return;
+
+    try {
+      const { blockNumber, cache } = await resolveBlock(params);
+      const limit = limiterFor(getBalanceProvider(params.chain, params.network));
+      const result = await limit(() => getHistoricalBalance(params, blockNumber, cache));
+      results[index] = { index, ok: true, ...result };
+    } catch (e) {
+      const { address, chain, network, date, tokenAddress } = params;
+      results[index] = {
+        index,
+        ok: false,
+        address,
+        chain,
+        network,
+        date,
+        tokenAddress,
+        error: e.message || 'Lookup failed'
+      };
+    }
+  }));
+
+  const succeeded = results.filter(r => r.ok).length;
+
+  return {
+    results,
+    summary: {
+      total: items.length,
+      succeeded,
+      failed: items.length - succeeded,
+      blocksResolved: blockLookups.size
+    }
+  };
+}
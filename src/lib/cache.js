@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Local, file-backed cache for lookups that can't change any more:
+//   blocks    (chain, network, timestamp) -> block number
+//   balances  (chain, network, address, token, block) -> balance result
+// Each store is a JSON file under CACHE_DIR (default data/cache), loaded once per
+// process and rewritten shortly after changes. Set CACHE_ENABLED=false to turn it off.
+export const CACHE_STORES = ['blocks', 'balances'];
+
+const FLUSH_DELAY_MS = 500;
+const FILE_VERSION = 1;
+
+const stores = new Map();
+
+export const isCacheEnabled = () => process.env.CACHE_ENABLED !== 'false';
+
+const getCacheDir = () => path.resolve(process.cwd(), process.env.CACHE_DIR || 'data/cache');
+const getStorePath = (name) => path.join(getCacheDir(), `${name}.json`);
+
+// EVM hex addresses are case-insensitive; other formats (base58, bech32) are kept as given
+const normalizeAddress = (address) => (
+  address && /^0x/i.test(address) ? address.toLowerCase() : address || null
+);
+
+const blockKey = (chain, network, timestamp) => `${chain}:${network}:${timestamp}`;
+// `source` tells apart results from interchangeable backends (UTXO chains)
+const balanceKey = ({ chain, network, address, tokenAddress, blockNumber, source }) => (
+  `${chain}:${network}:${normalizeAddress(address)}:${normalizeAddress(tokenAddress) || 'native'}:${blockNumber}${source ? `:${source}` : ''}`
+);
+
+function getStore(name) {
+  if (!stores.has(name)) {
+    const store = { entries: new Map(), flushTimer: null, writing: Promise.resolve() };
+    store.loaded = loadStore(name, store);
+    stores.set(name, store);
+  }
+  return stores.get(name);
+}
+
+async function loadStore(name, store) {
+  try {
+    const data = JSON.parse(await fs.readFile(getStorePath(name), 'utf8'));
+    if (data.version !== FILE_VERSION) return;
+    for (const [key, record] of Object.entries(data.entries || {})) {
+      store.entries.set(key, record);
+    }
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`Ignoring unreadable ${name} cache:`, e.message);
+  }
+}
+
+// Coalesce writes: many lookups finishing together produce one file rewrite
+function scheduleFlush(name, store) {
+  if (store.flushTimer) return;
+  store.flushTimer = setTimeout(() => {
+    store.flushTimer = null;
+    store.writing = store.writing.then(() => writeStore(name, store));
+  }, FLUSH_DELAY_MS);
+}
+
+async function writeStore(name, store) {
+  const filePath = getStorePath(name);
+  const tmpPath = `${filePath}.tmp`;
+  try {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify({ version: FILE_VERSION, entries: Object.fromEntries(store.entries) }));
+    await fs.rename(tmpPath, filePath);
+  } catch (e) {
+    console.warn(`Failed to write ${name} cache:`, e.message);
+  }
+}
+
+async function readEntry(name, key) {
+  if (!isCacheEnabled()) return undefined;
+  const store = getStore(name);
+  await store.loaded;
+  return store.entries.get(key);
+}
+
+async function writeEntry(name, key, record) {
+  if (!isCacheEnabled()) return;
+  const store = getStore(name);
+  await store.loaded;
+  store.entries.set(key, { ...record, cachedAt: Math.floor(Date.now() / 1000) });
+  scheduleFlush(name, store);
+}
+
+export async function getCachedBlock(chain, network, timestamp) {
+  const record = await readEntry('blocks', blockKey(chain, network, timestamp));
+  return record?.blockNumber;
+}
+
+export async function setCachedBlock(chain, network, timestamp, blockNumber) {
+  await writeEntry('blocks', blockKey(chain, network, timestamp), { chain, network, timestamp, blockNumber });
+}
+
+export async function getCachedBalance(target) {
+  const record = await readEntry('balances', balanceKey(target));
+  return record?.result;
+}
+
+export async function setCachedBalance(target, result) {
+  const { chain, network, address, tokenAddress, blockNumber, source } = target;
+  await writeEntry('balances', balanceKey(target), {
+    chain,
+    network,
+    address: normalizeAddress(address),
+    tokenAddress: normalizeAddress(tokenAddress),
+    blockNumber,
+    ...(source && { source }),
+    result
+  });
+}
+
+// Remove entries matching every given filter. Address and token filters only
+// apply to balances, so passing either leaves the block store untouched.
+// Returns how many entries were removed from each store.
+export async function invalidateCache({ store, chain, network, address, tokenAddress, fromBlock } = {}) {
+  const removed = {};
+  const names = store ? [store] : CACHE_STORES;
+
+  for (const name of names) {
+    removed[name] = 0;
+    if (name === 'blocks' && (address || tokenAddress)) continue;
+
+    const current = getStore(name);
+    await current.loaded;
+
+    for (const [key, record] of current.entries) {
+      if (chain && record.chain !== chain) continue;
+      if (network && record.network !== network) continue;
+      if (address && record.address !== normalizeAddress(address)) continue;
+      if (tokenAddress && (record.tokenAddress || 'native') !== normalizeAddress(tokenAddress)) continue;
+      if (fromBlock !== undefined && record.blockNumber < fromBlock) continue;
+      current.entries.delete(key);
+      removed[name]++;
+    }
+
+    if (removed[name] > 0) scheduleFlush(name, current);
+  }
+
+  return removed;
+}
+
+export async function getCacheStats() {
+  const counts = {};
+  for (const name of CACHE_STORES) {
+    const store = getStore(name);
+    await store.loaded;
+    counts[name] = store.entries.size;
+  }
+  return { enabled: isCacheEnabled(), dir: getCacheDir(), ...counts };
+}
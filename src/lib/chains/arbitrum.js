@@ -0,0 +1,12 @@
+import { createEvmChain } from './evm';
+
+export default createEvmChain({
+  id: 'arbitrum',
+  name: 'Arbitrum One',
+  icon: '/icons/arbitrum.svg',
+  nativeSymbol: 'ETH',
+  networks: {
+    mainnet: { label: 'Mainnet', chainId: 42161, alchemyNetwork: 'arb-mainnet' },
+    sepolia: { label: 'Sepolia', chainId: 421614, alchemyNetwork: 'arb-sepolia' }
+  }
+});
@@ -0,0 +1,12 @@
+import { createEvmChain } from './evm';
+
+export default createEvmChain({
+  id: 'avalanche',
+  name: 'Avalanche',
+  icon: '/icons/avalanche.svg',
+  nativeSymbol: 'AVAX',
+  networks: {
+    mainnet: { label: 'Mainnet', chainId: 43114, alchemyNetwork: 'avax-mainnet' },
+    fuji: { label: 'Fuji', chainId: 43113, alchemyNetwork: 'avax-fuji' }
+  }
+});
@@ -0,0 +1,12 @@
+import { createEvmChain } from './evm';
+
+export default createEvmChain({
+  id: 'base',
+  name: 'Base',
+  icon: '/icons/base.svg',
+  nativeSymbol: 'ETH',
+  networks: {
+    mainnet: { label: 'Mainnet', chainId: 8453, alchemyNetwork: 'base-mainnet' },
+    sepolia: { label: 'Sepolia', chainId: 84532, alchemyNetwork: 'base-sepolia' }
+  }
+});
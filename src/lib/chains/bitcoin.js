@@ -0,0 +1,47 @@
+import { createUtxoChain } from './utxo';
+
+// A local regtest node is only offered once its electrs is configured
+const { BITCOIN_REGTEST_ESPLORA_URL: regtestEsploraUrl, BITCOIN_REGTEST_ELECTRUM_URL: regtestElectrumUrl } = process.env;
+
+export default createUtxoChain({
+  id: 'bitcoin',
+  name: 'Bitcoin',
+  icon: '/icons/bitcoin.png',
+  nativeSymbol: 'BTC',
+  networks: {
+    // P2PKH (1...), P2SH (3...), segwit (bc1...); xpub/ypub/zpub derive P2PKH, P2SH-P2WPKH and P2WPKH
+    mainnet: {
+      label: 'Mainnet',
+      bitqueryNetwork: 'bitcoin',
+      base58Versions: [0x00, 0x05],
+      bech32Hrp: 'bc',
+      p2pkhVersion: 0x00,
+      p2shVersion: 0x05,
+      extendedKeyPrefixes: ['xpub', 'ypub', 'zpub'],
+      esploraUrl: 'https://blockstream.info/api'
+    },
+    // Testnet3 (m.../n..., 2..., tb1...; tpub/upub/vpub); Bitquery doesn't index it, so Esplora by default
+    testnet: {
+      label: 'Testnet',
+      base58Versions: [0x6f, 0xc4],
+      bech32Hrp: 'tb',
+      p2pkhVersion: 0x6f,
+      p2shVersion: 0xc4,
+      extendedKeyPrefixes: ['tpub', 'upub', 'vpub'],
+      backend: 'esplora',
+      esploraUrl: 'https://blockstream.info/testnet/api'
+    },
+    // Local regtest node behind electrs; not on Bitquery
+    ...((regtestEsploraUrl || regtestElectrumUrl) && {
+      regtest: {
+        label: 'Regtest (local)',
+        base58Versions: [0x6f, 0xc4],
+        bech32Hrp: 'bcrt',
+        p2pkhVersion: 0x6f,
+        p2shVersion: 0xc4,
+        extendedKeyPrefixes: ['tpub', 'upub', 'vpub'],
+        backend: regtestEsploraUrl ? 'esplora' : 'electrum'
+      }
+    })
+  }
+});
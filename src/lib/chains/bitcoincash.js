@@ -0,0 +1,21 @@
+import { createUtxoChain } from './utxo';
+
+export default createUtxoChain({
+  id: 'bitcoincash',
+  name: 'Bitcoin Cash',
+  icon: '/icons/bitcoincash.svg',
+  nativeSymbol: 'BCH',
+  networks: {
+    // CashAddr (bitcoincash:q... / p..., prefix optional) and the legacy 1.../3... forms of
+    // the same hashes; xpub derives P2PKH
+    mainnet: {
+      label: 'Mainnet',
+      bitqueryNetwork: 'bitcash',
+      base58Versions: [0x00, 0x05],
+      cashAddrPrefix: 'bitcoincash',
+      p2pkhVersion: 0x00,
+      p2shVersion: 0x05,
+      extendedKeyPrefixes: ['xpub']
+    }
+  }
+});
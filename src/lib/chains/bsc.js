@@ -0,0 +1,91 @@
+import axios from 'axios';
+import { createEvmChain } from './evm';
+
+const base = createEvmChain({
+  id: 'bsc',
+  name: 'BSC',
+  icon: '/icons/bsc.png',
+  nativeSymbol: 'BNB',
+  explorerApiKeyEnv: 'BSCSCAN_API_KEY',
+  networks: {
+    mainnet: {
+      label: 'Mainnet',
+      chainId: 56,
+      alchemyNetwork: 'bnb-mainnet',
+      explorerApiUrl: 'https://api.bscscan.com/api'
+    },
+    testnet: {
+      label: 'Testnet',
+      chainId: 97,
+      alchemyNetwork: 'bnb-testnet',
+      explorerApiUrl: 'https://api-testnet.bscscan.com/api'
+    }
+  }
+});
+
+async function getBscBlockNumberByTimestamp(network, timestamp) {
+  // 1. Try DefiLlama for Mainnet (Fast & Free)
+  if (network === 'mainnet') {
+    try {
+      const { data } = await axios.get(`https://coins.llama.fi/block/bsc/${timestamp}`);
+      return data.height;
+    } catch (e) {
+      console.warn('LlamaFi failed, falling back to RPC', e);
+    }
+  }
+
+  // 2. RPC Binary Search (For Testnet or Mainnet fallback)
+  const provider = base.getProvider(network);
+
+  const latestBlock = await provider.getBlock('latest');
+  if (latestBlock.timestamp < timestamp) {
+    console.warn('BSC Timestamp is in the future, falling back to latest block');
+    return latestBlock.number;
+  }
+
+  let min = 0;
+  let max = latestBlock.number;
+  let closestBlock = max;
+
+  // Optimization: Estimate start block based on avg block time (3s)
+  // This speeds up the search significantly
+  const avgBlockTime = 3;
+  const timeDiff = latestBlock.timestamp - timestamp;
+  const estimatedBlockDiff = Math.floor(timeDiff / avgBlockTime);
+  const estimatedBlock = Math.max(0, latestBlock.number - estimatedBlockDiff);
+
+  // Narrow search window around estimate (e.g. +/- 100k blocks)
+  // If estimate is way off, binary search still works, just takes a few more steps
+  min = Math.max(0, estimatedBlock - 100000);
+  max = Math.min(latestBlock.number, estimatedBlock + 100000);
+
+  // If outside window, reset to full range (safety net)
+  const minBlock = await provider.getBlock(min);
+  const maxBlock = await provider.getBlock(max);
+  if (minBlock.timestamp > timestamp || maxBlock.timestamp < timestamp) {
+    min = 0;
+    max = latestBlock.number;
+  }
+
+  while (min <= max) {
+    const mid = Math.floor((min + max) / 2);
+    const block = await provider.getBlock(mid);
+
+    if (block.timestamp >= timestamp) {
+      closestBlock = mid;
+      max = mid - 1;
+    } else {
+      min = mid + 1;
+    }
+  }
+
+  return closestBlock;
+}
+
+const bsc = {
+  ...base,
+  blockProvider: 'bsc-rpc',
+  getBlockNumberByTimestamp: getBscBlockNumberByTimestamp
+};
+
+export default bsc;
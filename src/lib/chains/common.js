@@ -0,0 +1,6 @@
+// Look up a network definition on a chain adapter, failing loudly for unknown ids
+export function getNetworkConfig(chainId, networks, network) {
+  const config = networks[network];
+  if (!config) throw new Error(`Unsupported chain/network: ${chainId}/${network}`);
+  return config;
+}
@@ -0,0 +1,19 @@
+import { createUtxoChain } from './utxo';
+
+export default createUtxoChain({
+  id: 'dogecoin',
+  name: 'Dogecoin',
+  icon: '/icons/dogecoin.svg',
+  nativeSymbol: 'DOGE',
+  networks: {
+    // P2PKH (D...), P2SH (9... and A...), no segwit; dgub and xpub derive P2PKH
+    mainnet: {
+      label: 'Mainnet',
+      bitqueryNetwork: 'dogecoin',
+      base58Versions: [0x1e, 0x16],
+      p2pkhVersion: 0x1e,
+      p2shVersion: 0x16,
+      extendedKeyPrefixes: ['dgub', 'xpub']
+    }
+  }
+});
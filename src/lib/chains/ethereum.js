@@ -0,0 +1,12 @@
+import { createEvmChain } from './evm';
+
+export default createEvmChain({
+  id: 'ethereum',
+  name: 'Ethereum',
+  icon: '/icons/ethereum.png',
+  nativeSymbol: 'ETH',
+  networks: {
+    mainnet: { label: 'Mainnet', chainId: 1, alchemyNetwork: 'eth-mainnet' },
+    sepolia: { label: 'Sepolia', chainId: 11155111, alchemyNetwork: 'eth-sepolia' }
+  }
+});
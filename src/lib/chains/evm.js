@@ -0,0 +1,433 @@
+import { ethers } from 'ethers';
+import axios from 'axios';
+import { retryRpcCall } from '@/lib/http';
+import { summarizeTokenTransfers } from '@/lib/transfers';
+import { getNetworkConfig } from './common';
+
+const ERC20_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)'
+];
+
+// Multicall3 is deployed at the same address on every supported EVM chain
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)'
+];
+
+const erc20Interface = new ethers.Interface(ERC20_ABI);
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+// Decode one aggregate3 result, or null when the call failed or returned nothing
+const decodeCallResult = (iface, fragment, { success, returnData }) => {
+  if (!success || returnData === '0x') return null;
+  try {
+    return iface.decodeFunctionResult(fragment, returnData)[0];
+  } catch {
+    return null;
+  }
+};
+
+// Some older tokens (e.g. MKR) return symbol() as bytes32 instead of string
+const decodeSymbolResult = (result) => {
+  const symbol = decodeCallResult(erc20Interface, 'symbol', result);
+  if (symbol !== null) return symbol;
+  if (!result.success || result.returnData.length !== 66) return null;
+  try {
+    return ethers.decodeBytes32String(result.returnData);
+  } catch {
+    return null;
+  }
+};
+
+const EXPLORER_PAGE_SIZE = 1000;
+const MAX_EXPLORER_PAGES = 50;
+const PORTFOLIO_CHUNK_SIZE = 100;
+
+// Unified V2 endpoint for all EVM chains that don't override explorerApiUrl
+const ETHERSCAN_V2_API_URL = 'https://api.etherscan.io/v2/api';
+
+// Build an adapter for an EVM chain served by Alchemy RPC and an Etherscan-style explorer.
+// Each network needs { label, chainId, alchemyNetwork } and may set explorerApiUrl.
+export function createEvmChain({
+  id,
+  name,
+  icon,
+  nativeSymbol,
+  networks,
+  explorerApiKeyEnv = 'ETHERSCAN_API_KEY',
+  finalitySeconds = 30 * 60
+}) {
+  const networkConfig = (network) => getNetworkConfig(id, networks, network);
+
+  const getRpcUrl = (network) => {
+    const alchemyKey = process.env.ALCHEMY_API_KEY;
+    if (!alchemyKey) throw new Error('Alchemy API Key missing');
+    return `https://${networkConfig(network).alchemyNetwork}.g.alchemy.com/v2/${alchemyKey}`;
+  };
+
+  const getProvider = (network) => new ethers.JsonRpcProvider(getRpcUrl(network));
+
+  // Call the chain's Etherscan-style explorer API and return the raw response body
+  const queryExplorer = async (network, params) => {
+    const config = networkConfig(network);
+    const baseUrl = config.explorerApiUrl || ETHERSCAN_V2_API_URL;
+    const query = new URLSearchParams({ ...params, apikey: process.env[explorerApiKeyEnv] || '' });
+
+    // Etherscan V2 requires chainid
+    if (!config.explorerApiUrl) query.set('chainid', String(config.chainId));
+
+    const { data } = await axios.get(`${baseUrl}?${query}`);
+    return data;
+  };
+
+  const getBlockNumberByTimestamp = async (network, timestamp) => {
+    const data = await queryExplorer(network, {
+      module: 'block',
+      action: 'getblocknobytime',
+      timestamp: String(timestamp),
+      closest: 'before'
+    });
+
+    if (data.status !== '1' || data.message === 'NOTOK' || (typeof data.result === 'string' && data.result.startsWith('Error'))) {
+      // Handle "Block timestamp too far in the future" or "No closest block found" error
+      if (data.result && (data.result.includes('future') || data.result.includes('No closest block found'))) {
+        console.warn('Timestamp is in the future or not found, falling back to latest block');
+        // The explorer can't give us "latest" via this endpoint, so ask the RPC for it
+        return getProvider(network).getBlockNumber();
+      }
+
+      console.error(`Explorer API Error Response:`, data);
+      throw new Error(`Explorer API error: ${data.message} (${data.result})`);
+    }
+
+    const blockNum = Number(data.result);
+    if (isNaN(blockNum)) {
+      console.error(`[BalanceAPI] Invalid block number from explorer: ${data.result}`);
+    }
+    return blockNum;
+  };
+
+  const getNativeBalance = async ({ address, network, blockNumber }) => {
+    const provider = getProvider(network);
+    const balanceWei = await retryRpcCall(() => provider.getBalance(address, blockNumber));
+
+    return {
+      balance: ethers.formatEther(balanceWei),
+      symbol: nativeSymbol,
+      rawBalance: balanceWei.toString()
+    };
+  };
+
+  const getTokenBalance = async ({ address, tokenAddress, network, blockNumber }) => {
+    const contract = new ethers.Contract(tokenAddress, ERC20_ABI, getProvider(network));
+    const balanceWei = await retryRpcCall(() => contract.balanceOf(address, { blockTag: blockNumber }));
+
+    let symbol = nativeSymbol;
+    let balanceFormatted;
+    try {
+      const [dec, sym] = await Promise.all([
+        contract.decimals(),
+        contract.symbol()
+      ]);
+      symbol = sym;
+      // Format with specific decimals
+      balanceFormatted = ethers.formatUnits(balanceWei, dec);
+    } catch {
+      // Fallback if decimals/symbol fail (some proxies might fail)
+      balanceFormatted = ethers.formatEther(balanceWei); // Assume 18
+    }
+
+    return {
+      balance: balanceFormatted,
+      symbol,
+      rawBalance: balanceWei.toString()
+    };
+  };
+
+  // Native balance and every token's balanceOf/decimals/symbol in one Multicall3
+  // aggregate3 call pinned to the block. Each holding reports its own error.
+  const getPortfolioViaMulticall = async ({ address, tokenAddresses, includeNative, network, blockNumber }) => {
+    const multicall = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, getProvider(network));
+
+    const calls = [];
+    if (includeNative) {
+      calls.push({ target: MULTICALL3_ADDRESS, allowFailure: true, callData: multicallInterface.encodeFunctionData('getEthBalance', [address]) });
+    }
+    for (const tokenAddress of tokenAddresses) {
+      calls.push(
+        { target: tokenAddress, allowFailure: true, callData: erc20Interface.encodeFunctionData('balanceOf', [address]) },
+        { target: tokenAddress, allowFailure: true, callData: erc20Interface.encodeFunctionData('decimals') },
+        { target: tokenAddress, allowFailure: true, callData: erc20Interface.encodeFunctionData('symbol') }
+      );
+    }
+
+    const results = await retryRpcCall(() => multicall.aggregate3.staticCall(calls, { blockTag: blockNumber }));
+    const holdings = [];
+    let offset = 0;
+
+    if (includeNative) {
+      const balanceWei = decodeCallResult(multicallInterface, 'getEthBalance', results[offset++]);
+      holdings.push(balanceWei === null
+        ? { tokenAddress: null, symbol: nativeSymbol, decimals: 18, error: 'Native balance call failed' }
+        : { tokenAddress: null, symbol: nativeSymbol, decimals: 18, balance: ethers.formatEther(balanceWei), rawBalance: balanceWei.toString() });
+    }
+
+    for (const tokenAddress of tokenAddresses) {
+      const [balanceResult, decimalsResult, symbolResult] = results.slice(offset, offset + 3);
+      offset += 3;
+
+      const balanceWei = decodeCallResult(erc20Interface, 'balanceOf', balanceResult);
+      const decimals = decodeCallResult(erc20Interface, 'decimals', decimalsResult);
+      const symbol = decodeSymbolResult(symbolResult);
+
+      if (balanceWei === null) {
+        holdings.push({ tokenAddress, symbol, decimals: decimals === null ? null : Number(decimals), error: 'balanceOf call failed (not a token at this block?)' });
+        continue;
+      }
+
+      holdings.push({
+        tokenAddress,
+        symbol: symbol ?? 'UNKNOWN',
+        // Assume 18 when decimals() fails, same as the single-token path
+        decimals: decimals === null ? 18 : Number(decimals),
+        balance: ethers.formatUnits(balanceWei, decimals === null ? 18 : decimals),
+        rawBalance: balanceWei.toString(),
+        ...(decimals === null && { warning: 'decimals() failed, assumed 18' })
+      });
+    }
+
+    return holdings;
+  };
+
+  // Per-call fallback for blocks before Multicall3 was deployed on the chain
+  const getPortfolioPerCall = async ({ address, tokenAddresses, includeNative, network, blockNumber }) => {
+    const lookups = [
+      ...(includeNative ? [{ tokenAddress: null }] : []),
+      ...tokenAddresses.map(tokenAddress => ({ tokenAddress }))
+    ];
+
+    return Promise.all(lookups.map(async ({ tokenAddress }) => {
+      try {
+        const result = tokenAddress
+          ? await getTokenBalance({ address, tokenAddress, network, blockNumber })
+          : await getNativeBalance({ address, network, blockNumber });
+        return { tokenAddress, ...result };
+      } catch (e) {
+        return { tokenAddress, symbol: tokenAddress ? null : nativeSymbol, error: e.shortMessage || e.message };
+      }
+    }));
+  };
+
+  const getPortfolio = async (params) => {
+    try {
+      return { holdings: await getPortfolioViaMulticall(params) };
+    } catch (e) {
+      // aggregate3 returns no data when Multicall3 has no code yet at this block
+      if (e.code !== 'BAD_DATA' && e.code !== 'CALL_EXCEPTION') throw e;
+      console.warn(`Multicall3 unavailable on ${id} at block ${params.blockNumber}, falling back to per-token calls`);
+      return {
+        holdings: await getPortfolioPerCall(params),
+        note: 'Multicall3 not deployed at this block; balances fetched with individual calls'
+      };
+    }
+  };
+
+  // Entries of an account listing (txlist, txlistinternal, tokentx) for the address between
+  // two blocks (inclusive), oldest first, de-duplicated by getKey.
+  // Explorers cap page * offset at 10k, so we page by moving startblock forward.
+  const fetchAccountListing = async (network, action, params, fromBlock, toBlock, getKey) => {
+    const items = [];
+    const seen = new Set();
+    let startBlock = fromBlock;
+
+    for (let page = 0; page < MAX_EXPLORER_PAGES; page++) {
+      const data = await queryExplorer(network, {
+        module: 'account',
+        action,
+        ...params,
+        startblock: String(startBlock),
+        endblock: String(toBlock),
+        page: '1',
+        offset: String(EXPLORER_PAGE_SIZE),
+        sort: 'asc'
+      });
+
+      if (data.status !== '1') {
+        // "No transactions found" is a normal empty result
+        if (Array.isArray(data.result) && data.result.length === 0) break;
+        throw new Error(`Explorer API error: ${data.message} (${data.result})`);
+      }
+
+      for (const item of data.result) {
+        // Pages overlap on the boundary block, so de-duplicate
+        const key = getKey(item);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        items.push(item);
+      }
+
+      if (data.result.length < EXPLORER_PAGE_SIZE) return { items, truncated: false };
+      startBlock = Number(data.result[data.result.length - 1].blockNumber);
+    }
+
+    return { items, truncated: items.length > 0 };
+  };
+
+  const tokenTransferKey = (tx) => `${tx.hash}:${tx.contractAddress}:${tx.from}:${tx.to}:${tx.value}:${tx.logIndex ?? ''}`;
+
+  // ERC-20 transfers touching the address up to and including the block, oldest first
+  const fetchTokenTransfers = async (network, address, blockNumber) => {
+    const { items, truncated } = await fetchAccountListing(network, 'tokentx', { address }, 0, blockNumber, tokenTransferKey);
+    return {
+      transfers: items.map(tx => ({
+        tokenAddress: ethers.getAddress(tx.contractAddress),
+        from: tx.from,
+        to: tx.to,
+        value: tx.value,
+        symbol: tx.tokenSymbol,
+        name: tx.tokenName,
+        decimals: tx.tokenDecimal === '' ? null : Number(tx.tokenDecimal)
+      })),
+      truncated
+    };
+  };
+
+  // Listing entry as a transaction ledger movement of `amount`, with `fee` paid by the address
+  const toMovement = (address, tx, amount, fee) => {
+    const owner = address.toLowerCase();
+    const isFrom = tx.from?.toLowerCase() === owner;
+    const isTo = tx.to?.toLowerCase() === owner;
+    return {
+      hash: tx.hash,
+      blockNumber: Number(tx.blockNumber),
+      timestamp: Number(tx.timeStamp),
+      counterparty: isFrom ? (tx.to || tx.contractAddress || null) : tx.from,
+      direction: isFrom && isTo ? 'self' : isFrom ? 'out' : 'in',
+      amount,
+      fee
+    };
+  };
+
+  // Balance-affecting movements in (startBlock, endBlock] for the transaction ledger.
+  // Native: normal transactions (value and gas paid, failed ones only cost gas) and internal
+  // value transfers. Tokens: the contract's transfers. Amounts in base units.
+  const getMovements = async ({ address, network, tokenAddress, startBlock, endBlock }) => {
+    const limit = (listing, items) => ({
+      listing,
+      fetched: items.length,
+      reason: `Explorer listing stopped after ${MAX_EXPLORER_PAGES} pages of ${EXPLORER_PAGE_SIZE}; later movements are missing`
+    });
+
+    if (tokenAddress) {
+      const { items, truncated } = await fetchAccountListing(network, 'tokentx', { address, contractaddress: tokenAddress }, startBlock + 1, endBlock, tokenTransferKey);
+      let decimals = items[0]?.tokenDecimal ? Number(items[0].tokenDecimal) : null;
+      let symbol = items[0]?.tokenSymbol || null;
+      if (decimals === null || !symbol) {
+        const contract = new ethers.Contract(tokenAddress, ERC20_ABI, getProvider(network));
+        [decimals, symbol] = await Promise.all([
+          retryRpcCall(() => contract.decimals()).then(Number).catch(() => 18),
+          retryRpcCall(() => contract.symbol()).catch(() => 'UNKNOWN')
+        ]);
+      }
+
+      return {
+        symbol,
+        decimals,
+        movements: items.map(tx => toMovement(address, tx, BigInt(tx.value), null)),
+        ...(truncated && { limits: [limit('token transfers', items)] })
+      };
+    }
+
+    const transactions = await fetchAccountListing(network, 'txlist', { address }, startBlock + 1, endBlock, tx => tx.hash);
+    const internal = await fetchAccountListing(network, 'txlistinternal', { address }, startBlock + 1, endBlock, tx => `${tx.hash}:${tx.traceId ?? ''}:${tx.from}:${tx.to}:${tx.value}`);
+    const owner = address.toLowerCase();
+
+    const movements = [
+      ...transactions.items.map(tx => toMovement(
+        address,
+        tx,
+        tx.isError === '1' ? 0n : BigInt(tx.value),
+        tx.from.toLowerCase() === owner ? BigInt(tx.gasUsed) * BigInt(tx.gasPrice) : null
+      )),
+      ...internal.items
+        .filter(tx => tx.isError !== '1')
+        .map(tx => toMovement(address, tx, BigInt(tx.value), null))
+    ];
+
+    return {
+      symbol: nativeSymbol,
+      decimals: 18,
+      movements,
+      note: 'Normal and internal transactions from the explorer; block rewards, withdrawals and L2 data fees are not listed',
+      limits: [
+        ...(transactions.truncated ? [limit('transactions', transactions.items)] : []),
+        ...(internal.truncated ? [limit('internal transactions', internal.items)] : [])
+      ]
+    };
+  };
+
+  // Tokens seen in the transfer history, with balances read at the block via Multicall3
+  const discoverHoldings = async ({ address, network, blockNumber, includeNative = true }) => {
+    const { transfers, truncated } = await fetchTokenTransfers(network, address, blockNumber);
+    const stats = summarizeTokenTransfers(transfers, address);
+    const tokenAddresses = [...stats.keys()];
+
+    const holdings = [];
+    let note;
+    for (let i = 0; i < tokenAddresses.length || (i === 0 && includeNative); i += PORTFOLIO_CHUNK_SIZE) {
+      const portfolio = await getPortfolio({
+        address,
+        tokenAddresses: tokenAddresses.slice(i, i + PORTFOLIO_CHUNK_SIZE),
+        includeNative: includeNative && i === 0,
+        network,
+        blockNumber
+      });
+      holdings.push(...portfolio.holdings);
+      note = note || portfolio.note;
+    }
+
+    for (const holding of holdings) {
+      const tokenStats = holding.tokenAddress && stats.get(holding.tokenAddress);
+      if (!tokenStats) continue;
+      Object.assign(holding, {
+        symbol: holding.symbol ?? tokenStats.symbol,
+        name: tokenStats.name,
+        decimals: holding.decimals ?? tokenStats.decimals,
+        transferCount: tokenStats.transferCount,
+        incomingCount: tokenStats.incomingCount,
+        outgoingCount: tokenStats.outgoingCount,
+        zeroValueCount: tokenStats.zeroValueCount
+      });
+    }
+
+    return { holdings, truncated, note };
+  };
+
+  return {
+    id,
+    name,
+    icon,
+    kind: 'evm',
+    nativeSymbol,
+    nativeDecimals: 18,
+    supportsTokens: true,
+    addressPlaceholder: '0x...',
+    networks,
+    blockProvider: 'etherscan',
+    balanceProvider: 'alchemy',
+    finalitySeconds,
+    validateAddress: (address) => ethers.isAddress(address),
+    getRpcUrl,
+    getProvider,
+    queryExplorer,
+    getBlockNumberByTimestamp,
+    getNativeBalance,
+    getTokenBalance,
+    getPortfolio,
+    discoverHoldings,
+    getMovements
+  };
+}
@@ -0,0 +1,90 @@
+import ethereum from './ethereum';
+import polygon from './polygon';
+import bsc from './bsc';
+import arbitrum from './arbitrum';
+import optimism from './optimism';
+import base from './base';
+import avalanche from './avalanche';
+import linea from './linea';
+import tron from './tron';
+import solana from './solana';
+import bitcoin from './bitcoin';
+import litecoin from './litecoin';
+import dogecoin from './dogecoin';
+import bitcoincash from './bitcoincash';
+
+// Chain adapter registry. Each adapter declares:
+//   id, name, icon, kind, nativeSymbol, nativeDecimals, supportsTokens, addressPlaceholder
+//   networks              { [networkId]: { label, ...chain specific config } }
+//   blockProvider, balanceProvider   upstream names used for rate limiting, or functions of the
+//                         network where each network picks its own backend
+//   finalitySeconds       age after which a timestamp's block and balances no longer change (cacheable)
+//   getBalanceSource(network)   optional, name of the configured backend where several can serve
+//                         the same balances (kept apart in the balance cache); balance results
+//                         then name the backend that served them in `provider`
+//   validateAddress(address, network)
+//   validateTokenAddress(tokenAddress, network)   optional, when token ids aren't addresses
+//   extendedKeyPrefixes   optional, HD wallet key prefixes (xpub...) accepted in place of an address
+//   getBlockNumberByTimestamp(network, timestamp)
+//   getNativeBalance({ address, network, blockNumber, ts }) -> { balance, symbol, rawBalance, note? }
+//   getTokenBalance({ address, tokenAddress, network, blockNumber, ts })   when supportsTokens
+//   getReplayedBalances(params, timestamps)   for chains that replay history (one fetch, many points)
+//   getCurrentBalance({ address, network, tokenAddress })
+//                         -> { rawBalance, decimals, source }   live node balance, to verify replays
+//   getPortfolio({ address, tokenAddresses, includeNative, network, blockNumber })
+//                         -> { holdings, note? }   multi-token lookup at one block (EVM only)
+//   discoverHoldings({ address, network, blockNumber, ts, includeNative })
+//                         -> { holdings, truncated, note? }   tokens found in the transfer history
+//   getUtxoSnapshot({ address, network, blockNumber, ts })
+//                         -> { balance, symbol, rawBalance, note, utxos }   unspent outputs at ts (UTXO chains)
+//   getMovements({ address, network, tokenAddress, startTs, endTs, startBlock, endBlock })
+//                         -> { symbol, decimals, movements, note?, limits? }   balance-affecting movements
+//                         in (startTs, endTs] / (startBlock, endBlock], each { hash, blockNumber, timestamp,
+//                         counterparty, direction: in|out|self, category?, amount, fee } in base units (BigInt)
+// The array order is the order chains are shown in the UI.
+const CHAINS = [
+  ethereum,
+  polygon,
+  bsc,
+  arbitrum,
+  optimism,
+  base,
+  avalanche,
+  linea,
+  tron,
+  solana,
+  bitcoin,
+  litecoin,
+  dogecoin,
+  bitcoincash
+];
+
+const registry = new Map(CHAINS.map(chain => [chain.id, chain]));
+
+export const findChain = (id) => registry.get(id) || null;
+
+export function getChain(id) {
+  const chain = findChain(id);
+  if (!chain) throw new Error(`Unsupported chain: ${id}`);
+  return chain;
+}
+
+// Serialisable chain metadata for the UI
+export function listChains() {
+  return CHAINS.map(chain => ({
+    id: chain.id,
+    name: chain.name,
+    icon: chain.icon,
+    kind: chain.kind,
+    nativeSymbol: chain.nativeSymbol,
+    nativeDecimals: chain.nativeDecimals,
+    supportsTokens: chain.supportsTokens,
+    supportsDiscovery: typeof chain.discoverHoldings === 'function',
+    supportsVerify: typeof chain.getCurrentBalance === 'function',
+    supportsUtxos: typeof chain.getUtxoSnapshot === 'function',
+    supportsMovements: typeof chain.getMovements === 'function',
+    addressPlaceholder: chain.addressPlaceholder,
+    extendedKeyPrefixes: chain.extendedKeyPrefixes || [],
+    networks: Object.entries(chain.networks).map(([id, network]) => ({ id, label: network.label }))
+  }));
+}
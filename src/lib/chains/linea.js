@@ -0,0 +1,12 @@
+import { createEvmChain } from './evm';
+
+export default createEvmChain({
+  id: 'linea',
+  name: 'Linea',
+  icon: '/icons/linea.svg',
+  nativeSymbol: 'ETH',
+  networks: {
+    mainnet: { label: 'Mainnet', chainId: 59144, alchemyNetwork: 'linea-mainnet' },
+    sepolia: { label: 'Sepolia', chainId: 59141, alchemyNetwork: 'linea-sepolia' }
+  }
+});
@@ -0,0 +1,22 @@
+import { createUtxoChain } from './utxo';
+
+export default createUtxoChain({
+  id: 'litecoin',
+  name: 'Litecoin',
+  icon: '/icons/litecoin.png',
+  nativeSymbol: 'LTC',
+  networks: {
+    // P2PKH (L...), P2SH (M... and legacy 3...), segwit (ltc1...);
+    // Ltub/Mtub are Litecoin's own xpub/ypub and some wallets export the Bitcoin prefixes
+    mainnet: {
+      label: 'Mainnet',
+      bitqueryNetwork: 'litecoin',
+      base58Versions: [0x30, 0x32, 0x05],
+      bech32Hrp: 'ltc',
+      p2pkhVersion: 0x30,
+      p2shVersion: 0x32,
+      extendedKeyPrefixes: ['Ltub', 'Mtub', 'xpub', 'ypub', 'zpub'],
+      esploraUrl: 'https://litecoinspace.org/api'
+    }
+  }
+});
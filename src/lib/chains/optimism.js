@@ -0,0 +1,12 @@
+import { createEvmChain } from './evm';
+
+export default createEvmChain({
+  id: 'optimism',
+  name: 'Optimism',
+  icon: '/icons/optimism.svg',
+  nativeSymbol: 'ETH',
+  networks: {
+    mainnet: { label: 'Mainnet', chainId: 10, alchemyNetwork: 'opt-mainnet' },
+    sepolia: { label: 'Sepolia', chainId: 11155420, alchemyNetwork: 'opt-sepolia' }
+  }
+});
@@ -0,0 +1,12 @@
+import { createEvmChain } from './evm';
+
+export default createEvmChain({
+  id: 'polygon',
+  name: 'Polygon',
+  icon: '/icons/polygon.png',
+  nativeSymbol: 'MATIC',
+  networks: {
+    mainnet: { label: 'Mainnet', chainId: 137, alchemyNetwork: 'polygon-mainnet' },
+    amoy: { label: 'Amoy', chainId: 80002, alchemyNetwork: 'polygon-amoy' }
+  }
+});
@@ -0,0 +1,218 @@
+import bs58 from 'bs58';
+import { ethers } from 'ethers';
+import { postWithRetry } from '@/lib/http';
+import { getNetworkConfig } from './common';
+
+const networks = {
+  mainnet: {
+    label: 'Mainnet',
+    alchemyNetwork: 'solana-mainnet',
+    publicRpcUrl: 'https://api.mainnet-beta.solana.com'
+  },
+  devnet: {
+    label: 'Devnet',
+    alchemyNetwork: 'solana-devnet',
+    publicRpcUrl: 'https://api.devnet.solana.com'
+  }
+};
+
+// Well-known mints; SPL mints carry no on-chain symbol without Metaplex metadata
+const KNOWN_MINTS = {
+  EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: 'USDC',
+  Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB: 'USDT',
+  So11111111111111111111111111111111111111112: 'wSOL'
+};
+
+const SOL_DECIMALS = 9;
+const SLOT_TIME_SECONDS = 0.4;
+const SIGNATURE_PAGE_SIZE = 1000;
+const MAX_SIGNATURE_PAGES = 50;
+const MAX_SKIPPED_SLOTS = 20;
+
+// RPC error codes for slots that were skipped or have no block stored
+const SKIPPED_SLOT_CODES = [-32004, -32007, -32009];
+
+const getRpcUrl = (network) => {
+  const config = getNetworkConfig('solana', networks, network);
+  const alchemyKey = process.env.ALCHEMY_API_KEY;
+  return alchemyKey
+    ? `https://${config.alchemyNetwork}.g.alchemy.com/v2/${alchemyKey}`
+    : config.publicRpcUrl;
+};
+
+async function solanaRpc(network, method, params = []) {
+  const { data } = await postWithRetry(getRpcUrl(network), { jsonrpc: '2.0', id: 1, method, params }, {
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  if (data.error) {
+    const error = new Error(`Solana RPC error (${method}): ${data.error.message}`);
+    error.code = data.error.code;
+    throw error;
+  }
+  return data.result;
+}
+
+// Account keys are 32 byte ed25519 public keys (or PDAs) in Base58
+const isSolanaAddress = (address) => {
+  try {
+    return bs58.decode(address).length === 32;
+  } catch {
+    return false;
+  }
+};
+
+// Block time of the first produced slot at or after `slot` (skipped slots have no block)
+async function getBlockTimeFrom(network, slot) {
+  for (let s = slot; s < slot + MAX_SKIPPED_SLOTS; s++) {
+    try {
+      const time = await solanaRpc(network, 'getBlockTime', [s]);
+      if (time !== null) return { slot: s, time };
+    } catch (e) {
+      if (!SKIPPED_SLOT_CODES.includes(e.code)) throw e;
+    }
+  }
+  throw new Error(`No Solana block found near slot ${slot}`);
+}
+
+// Last slot whose block time is at or before the timestamp
+async function getSlotByTimestamp(network, timestamp) {
+  const latestSlot = await solanaRpc(network, 'getSlot', [{ commitment: 'finalized' }]);
+  const latestTime = await solanaRpc(network, 'getBlockTime', [latestSlot]);
+
+  if (latestTime <= timestamp) {
+    console.warn('Solana timestamp is in the future, falling back to latest finalized slot');
+    return latestSlot;
+  }
+
+  // The node's ledger may not reach back that far; its first block would be after the timestamp
+  const firstSlot = await solanaRpc(network, 'getFirstAvailableBlock');
+  const first = await getBlockTimeFrom(network, firstSlot);
+  if (first.time > timestamp) {
+    throw new Error(`Solana RPC history starts at ${new Date(first.time * 1000).toISOString()}, after the requested date`);
+  }
+  let min = firstSlot;
+  let max = latestSlot;
+
+  // Estimate from the average slot time and search a window around it,
+  // falling back to the full range if the estimate is off
+  const estimatedSlot = Math.max(firstSlot, latestSlot - Math.floor((latestTime - timestamp) / SLOT_TIME_SECONDS));
+  const window = Math.max(10000, Math.floor((latestSlot - estimatedSlot) * 0.05));
+  const windowMin = Math.max(firstSlot, estimatedSlot - window);
+  const windowMax = Math.min(latestSlot, estimatedSlot + window);
+
+  const [low, high] = await Promise.all([getBlockTimeFrom(network, windowMin), getBlockTimeFrom(network, windowMax)]);
+  if (low.time <= timestamp && high.time > timestamp) {
+    min = low.slot;
+    max = windowMax;
+  }
+
+  // Invariant: every produced slot above `max` has a block time after the timestamp
+  while (min < max) {
+    const mid = Math.ceil((min + max) / 2);
+    const probe = await getBlockTimeFrom(network, mid);
+
+    if (probe.time <= timestamp) {
+      min = probe.slot;
+    } else {
+      max = mid - 1;
+    }
+  }
+
+  return min;
+}
+
+// Latest transaction touching `address` at or before `slot`, with the address's index
+// in the transaction's account list. Returns null when the address had no activity yet.
+async function findTransactionAtSlot(network, address, slot) {
+  let before;
+
+  for (let page = 0; page < MAX_SIGNATURE_PAGES; page++) {
+    const signatures = await solanaRpc(network, 'getSignaturesForAddress', [
+      address,
+      { limit: SIGNATURE_PAGE_SIZE, before, commitment: 'finalized' }
+    ]);
+
+    // Signatures come newest first
+    const match = signatures.find(sig => sig.slot <= slot);
+    if (match) {
+      const tx = await solanaRpc(network, 'getTransaction', [
+        match.signature,
+        { encoding: 'json', maxSupportedTransactionVersion: 0, commitment: 'finalized' }
+      ]);
+      if (!tx) throw new Error(`Solana transaction ${match.signature} not found`);
+
+      // Static keys first, then keys loaded from address lookup tables (v0 transactions)
+      const accountKeys = [
+        ...tx.transaction.message.accountKeys,
+        ...(tx.meta.loadedAddresses?.writable || []),
+        ...(tx.meta.loadedAddresses?.readonly || [])
+      ];
+      return { tx, accountIndex: accountKeys.indexOf(address) };
+    }
+
+    if (signatures.length < SIGNATURE_PAGE_SIZE) return null;
+    before = signatures[signatures.length - 1].signature;
+  }
+
+  throw new Error(`Solana address history is deeper than ${MAX_SIGNATURE_PAGES * SIGNATURE_PAGE_SIZE} transactions after the target slot`);
+}
+
+async function getNativeBalance({ address, network, blockNumber }) {
+  const found = await findTransactionAtSlot(network, address, blockNumber);
+  const lamports = found ? BigInt(found.tx.meta.postBalances[found.accountIndex] ?? 0) : 0n;
+
+  return {
+    balance: ethers.formatUnits(lamports, SOL_DECIMALS),
+    symbol: 'SOL',
+    rawBalance: lamports.toString(),
+    note: 'Historical balance read from post-balances of the last transaction at or before the slot'
+  };
+}
+
+// Sums the mint's balance across the owner's token accounts, each read from the
+// post token balances of that account's last transaction at or before the slot.
+async function getTokenBalance({ address, tokenAddress, network, blockNumber }) {
+  const [accounts, supply] = await Promise.all([
+    solanaRpc(network, 'getTokenAccountsByOwner', [address, { mint: tokenAddress }, { encoding: 'jsonParsed' }]),
+    solanaRpc(network, 'getTokenSupply', [tokenAddress])
+  ]);
+  const decimals = supply.value.decimals;
+
+  let total = 0n;
+  for (const { pubkey } of accounts.value) {
+    const found = await findTransactionAtSlot(network, pubkey, blockNumber);
+    if (!found) continue;
+
+    const entry = (found.tx.meta.postTokenBalances || []).find(b => b.accountIndex === found.accountIndex);
+    total += BigInt(entry?.uiTokenAmount?.amount ?? 0);
+  }
+
+  return {
+    balance: ethers.formatUnits(total, decimals),
+    symbol: KNOWN_MINTS[tokenAddress] || 'UNKNOWN',
+    rawBalance: total.toString(),
+    note: `Summed across ${accounts.value.length} token account(s) currently owned by the address; closed accounts are not included`
+  };
+}
+
+const solana = {
+  id: 'solana',
+  name: 'Solana',
+  icon: '/icons/solana.svg',
+  kind: 'solana',
+  nativeSymbol: 'SOL',
+  nativeDecimals: SOL_DECIMALS,
+  supportsTokens: true,
+  addressPlaceholder: 'Base58 address...',
+  networks,
+  blockProvider: 'solana-rpc',
+  balanceProvider: 'solana-rpc',
+  finalitySeconds: 5 * 60,
+  validateAddress: isSolanaAddress,
+  getBlockNumberByTimestamp: getSlotByTimestamp,
+  getNativeBalance,
+  getTokenBalance
+};
+
+export default solana;
@@ -0,0 +1,1054 @@
+import bs58 from 'bs58';
+import { ethers } from 'ethers';
+import { fetchWithRetry, postWithRetry } from '@/lib/http';
+import { isBase58CheckAddress } from '@/lib/address';
+import { withLedger } from '@/lib/ledger';
+import { appendCheckpoints, findCheckpoint, sampleRunningBalance } from '@/lib/replay';
+import { summarizeTokenTransfers } from '@/lib/transfers';
+import { getNetworkConfig } from './common';
+
+const networks = {
+  mainnet: {
+    label: 'Mainnet',
+    nodeUrl: 'https://api.trongrid.io',
+    explorerApiUrl: 'https://apilist.tronscanapi.com/api'
+  },
+  shasta: {
+    label: 'Shasta',
+    nodeUrl: 'https://api.shasta.trongrid.io',
+    explorerApiUrl: 'https://shastapi.tronscan.org/api'
+  }
+};
+
+const REPLAY_NOTE = 'Historical balance calculated via transaction replay';
+const TRX_REPLAY_NOTE = `${REPLAY_NOTE}; liquid TRX = transfers - fees burned - staked + rewards`;
+const PAGE_SIZE = 50;
+// TronScan rejects start + limit beyond this, whatever the filters
+const MAX_OFFSET = 10000;
+const TRX_DECIMALS = 6;
+// Blocks older than this are treated as final; only history before it is stored in the ledger
+const FINALITY_SECONDS = 5 * 60;
+// Bumped when stored entries change shape (2: block numbers kept for transaction ledgers)
+const LEDGER_VERSION = 2;
+
+// Stake 2.0 unstaked TRX can be withdrawn this long after UnfreezeBalanceV2
+const UNFREEZE_DELAY_MS = 14 * 86400 * 1000;
+
+// TronScan contractType values that move or stake TRX
+const CONTRACT_TYPES = {
+  TRANSFER: 1,
+  TRANSFER_ASSET: 2,
+  FREEZE: 11,
+  UNFREEZE: 12,
+  WITHDRAW_BALANCE: 13,
+  CREATE_SMART_CONTRACT: 30,
+  TRIGGER_SMART_CONTRACT: 31,
+  FREEZE_V2: 54,
+  UNFREEZE_V2: 55,
+  WITHDRAW_EXPIRE_UNFREEZE: 56,
+  DELEGATE_RESOURCE: 57,
+  UNDELEGATE_RESOURCE: 58,
+  CANCEL_ALL_UNFREEZE_V2: 59
+};
+
+// Types whose TRX amount is only known after execution
+const EXECUTION_AMOUNT_TYPES = new Set([
+  CONTRACT_TYPES.UNFREEZE,
+  CONTRACT_TYPES.WITHDRAW_BALANCE,
+  CONTRACT_TYPES.UNFREEZE_V2,
+  CONTRACT_TYPES.WITHDRAW_EXPIRE_UNFREEZE,
+  CONTRACT_TYPES.CANCEL_ALL_UNFREEZE_V2
+]);
+
+// Types that change frozen, delegated or unfreezing TRX
+const STAKING_TYPES = new Set([
+  CONTRACT_TYPES.FREEZE,
+  CONTRACT_TYPES.UNFREEZE,
+  CONTRACT_TYPES.FREEZE_V2,
+  CONTRACT_TYPES.UNFREEZE_V2,
+  CONTRACT_TYPES.WITHDRAW_EXPIRE_UNFREEZE,
+  CONTRACT_TYPES.DELEGATE_RESOURCE,
+  CONTRACT_TYPES.UNDELEGATE_RESOURCE,
+  CONTRACT_TYPES.CANCEL_ALL_UNFREEZE_V2
+]);
+
+// Ledger categories reported in the breakdown; fees and staking are shown as positive amounts
+const LEDGER_CATEGORIES = {
+  transfer: { key: 'transfers', sign: 1 },
+  fee: { key: 'feesBurned', sign: -1 },
+  stake: { key: 'staked', sign: -1 },
+  reward: { key: 'rewards', sign: 1 }
+};
+
+const getExplorerApiUrl = (network) => getNetworkConfig('tron', networks, network).explorerApiUrl;
+
+const getTronscanHeaders = () => {
+  const apiKey = process.env.TRONSCAN_API_KEY;
+  return apiKey ? { 'TRON-PRO-API-KEY': apiKey } : {};
+};
+
+const getTronGridHeaders = () => {
+  const apiKey = process.env.TRONGRID_API_KEY;
+  return apiKey ? { 'TRON-PRO-API-KEY': apiKey } : {};
+};
+
+// POST to the full node HTTP API (TronGrid)
+async function callTronNode(network, method, body) {
+  const { nodeUrl } = getNetworkConfig('tron', networks, network);
+  const { data } = await postWithRetry(`${nodeUrl}/wallet/${method}`, body, { headers: getTronGridHeaders() });
+  return data || {};
+}
+
+// Helper to convert Tron address to Hex
+export function toTronHex(address) {
+  if (address.startsWith('0x')) {
+    return '41' + address.substring(2);
+  }
+  if (address.startsWith('T')) {
+    const bytes = bs58.decode(address);
+    // Remove last 4 bytes (checksum)
+    const hex = Buffer.from(bytes.slice(0, -4)).toString('hex');
+    return hex;
+  }
+  return address;
+}
+
+// Base58Check with the 0x41 mainnet prefix (T...)
+const isTronAddress = (address) => isBase58CheckAddress(address, [0x41]);
+
+async function getTronBlockNumberByTimestamp(network, timestamp) {
+  // TronScan doesn't have exact timestamp lookup, so we take the newest block in the
+  // hour up to the timestamp (never one after it)
+  const start = (timestamp - 3600) * 1000;
+  const end = timestamp * 1000;
+  const baseUrl = getExplorerApiUrl(network);
+  const headers = getTronscanHeaders();
+
+  const url = `${baseUrl}/block?sort=-timestamp&limit=1&start_timestamp=${start}&end_timestamp=${end}`;
+
+  const { data } = await fetchWithRetry(url, { headers });
+  if (!data.data || data.data.length === 0) {
+    // Try wider range or just end_timestamp
+    const preciseUrl = `${baseUrl}/block?sort=-timestamp&limit=1&end_timestamp=${timestamp * 1000}`;
+    const { data: preciseData } = await fetchWithRetry(preciseUrl, { headers });
+    if (!preciseData.data || preciseData.data.length === 0) {
+      throw new Error('No Tron block found before this timestamp');
+    }
+    return preciseData.data[0].number;
+  }
+
+  return data.data[0].number;
+}
+
+// Optional cap on entries fetched per listing (TRON_HISTORY_LIMIT); unset means no cap
+const getHistoryLimit = () => Number(process.env.TRON_HISTORY_LIMIT) || Infinity;
+
+// Page backwards in time through a TronScan listing, newest first, over (startTimestamp, endTimestamp] (ms).
+// TronScan refuses offsets past MAX_OFFSET, so when a window is used up the next one ends
+// at the oldest timestamp seen; entries on that boundary are fetched twice and deduplicated.
+// Returns { items, limit }, where limit says why fetching stopped before the start of history.
+async function fetchTronscanHistory(baseUrl, { listKey, timestampKey, label, startTimestamp = 0, endTimestamp }) {
+  const headers = getTronscanHeaders();
+  const maxItems = getHistoryLimit();
+  const items = [];
+  let windowEnd = endTimestamp || Date.now();
+  let boundaryKeys = new Set();
+
+  for (;;) {
+    let oldest = null;
+    let exhausted = false;
+
+    for (let start = 0; start + PAGE_SIZE <= MAX_OFFSET; start += PAGE_SIZE) {
+      let page;
+      try {
+        const url = `${baseUrl}&start_timestamp=${startTimestamp}&end_timestamp=${windowEnd}&limit=${PAGE_SIZE}&start=${start}`;
+        const { data } = await fetchWithRetry(url, { headers });
+        page = data[listKey] || [];
+      } catch (e) {
+        console.error(`Error fetching Tron ${label}:`, e.response?.data || e.message);
+        throw new Error(`Failed to fetch ${label}: ${e.response?.status || e.message}`);
+      }
+
+      for (const item of page) {
+        if (item[timestampKey] <= startTimestamp) {
+          // Newest first, so everything after this is older than the requested range too
+          exhausted = true;
+          break;
+        }
+        if (item[timestampKey] === windowEnd && boundaryKeys.has(JSON.stringify(item))) continue;
+        items.push(item);
+        oldest = item[timestampKey];
+      }
+
+      if (items.length >= maxItems) {
+        return {
+          items,
+          limit: { listing: label, fetched: items.length, reason: `TRON_HISTORY_LIMIT of ${maxItems} reached; older entries were not fetched` }
+        };
+      }
+
+      if (exhausted || page.length < PAGE_SIZE) {
+        exhausted = true;
+        break;
+      }
+    }
+
+    if (exhausted || oldest === null) return { items, limit: null };
+
+    if (oldest === windowEnd) {
+      // A whole window shares one timestamp, so the next window can't move past it
+      return {
+        items,
+        limit: { listing: label, fetched: items.length, reason: `More than ${MAX_OFFSET} entries at ${new Date(oldest).toISOString()}; older entries were not fetched` }
+      };
+    }
+
+    boundaryKeys = new Set(items.filter(item => item[timestampKey] === oldest).map(item => JSON.stringify(item)));
+    windowEnd = oldest;
+  }
+}
+
+// Every transaction the address sent or received in (startTimestamp, endTimestamp] (ms);
+// without a start, back to the initial funding
+async function fetchTronTransactions(address, network, endTimestamp, startTimestamp) {
+  return fetchTronscanHistory(`${getExplorerApiUrl(network)}/transaction?address=${address}&sort=-timestamp`, {
+    listKey: 'data',
+    timestampKey: 'timestamp',
+    label: 'transactions',
+    startTimestamp,
+    endTimestamp
+  });
+}
+
+// TRX and TRC-10 value moved by contracts to or from the address
+async function fetchTronInternalTransactions(address, network, endTimestamp, startTimestamp) {
+  return fetchTronscanHistory(`${getExplorerApiUrl(network)}/internal-transaction?address=${address}&sort=-timestamp`, {
+    listKey: 'data',
+    timestampKey: 'timestamp',
+    label: 'internal transactions',
+    startTimestamp,
+    endTimestamp
+  });
+}
+
+// Execution result of one transaction from the full node (unfreeze, withdraw and reward amounts)
+async function getTronTransactionInfo(hash, network) {
+  return callTronNode(network, 'gettransactioninfobyid', { value: hash });
+}
+
+// Listing entries cut down to the fields the replay reads before they are stored
+const trimTransaction = ({ hash, block, timestamp, contractType, contractRet, ownerAddress, toAddress, amount, contractData, cost }) => ({
+  hash,
+  block,
+  timestamp,
+  contractType,
+  contractRet,
+  ownerAddress,
+  toAddress,
+  amount,
+  contractData,
+  cost: cost && { fee: cost.fee, net_fee: cost.net_fee, energy_fee: cost.energy_fee }
+});
+const trimInternalTransaction = ({ hash, block, timestamp, from, to, rejected, callValueInfo }) => ({
+  hash, block, timestamp, from, to, rejected, callValueInfo
+});
+const trimExecutionInfo = ({ unfreeze_amount, withdraw_amount, withdraw_expire_amount }) => ({
+  unfreeze_amount, withdraw_amount, withdraw_expire_amount
+});
+
+const byTimestamp = (key) => (a, b) => a[key] - b[key];
+
+const toSun = (value) => BigInt(value || 0);
+
+// TRX burned for bandwidth/energy plus account creation, memo and multisig fees
+const getTronFee = ({ cost }) => (
+  cost?.fee != null ? toSun(cost.fee) : toSun(cost?.net_fee) + toSun(cost?.energy_fee)
+);
+
+// Stake 1.0 freezes and Stake 2.0 resource enums come as names or numbers
+const toResource = (resource) => (resource === 'ENERGY' || resource === 1 ? 'ENERGY' : 'BANDWIDTH');
+
+// a - b without going below zero, for staking state rebuilt from partial history
+const subtractFloorZero = (a, b) => (a > b ? a - b : 0n);
+
+// Staked TRX of one account while its history is walked. Amounts in sun.
+const createStakeState = () => ({
+  frozenV1: {}, // `${resource}:${receiver}` -> own Stake 1.0 freezes ('' receiver = self)
+  frozenV1In: {}, // `${resource}:${owner}` -> Stake 1.0 freezes others made for us
+  frozen: { ENERGY: 0n, BANDWIDTH: 0n }, // Stake 2.0, excluding delegated
+  delegatedOut: { ENERGY: 0n, BANDWIDTH: 0n },
+  delegatedIn: { ENERGY: 0n, BANDWIDTH: 0n },
+  pendingUnfreezes: [] // Stake 2.0 { amount, resource, unlockAt }
+});
+
+// Copy of a stake state with every amount passed through convert;
+// String and BigInt turn it into its stored form and back
+function mapStakeAmounts(state, convert) {
+  const mapValues = (amounts) => Object.fromEntries(Object.entries(amounts).map(([key, amount]) => [key, convert(amount)]));
+  return {
+    frozenV1: mapValues(state.frozenV1),
+    frozenV1In: mapValues(state.frozenV1In),
+    frozen: mapValues(state.frozen),
+    delegatedOut: mapValues(state.delegatedOut),
+    delegatedIn: mapValues(state.delegatedIn),
+    pendingUnfreezes: state.pendingUnfreezes.map(u => ({ ...u, amount: convert(u.amount) }))
+  };
+}
+
+// Resource breakdown at `timestamp` (ms) from the walked state, in sun
+function snapshotStakeState(state, timestamp) {
+  const frozen = { ...state.frozen };
+  const delegatedOut = { ...state.delegatedOut };
+  const delegatedIn = { ...state.delegatedIn };
+
+  for (const [key, amount] of Object.entries(state.frozenV1)) {
+    const [resource, receiver] = key.split(':');
+    (receiver ? delegatedOut : frozen)[resource] += amount;
+  }
+  for (const [key, amount] of Object.entries(state.frozenV1In)) {
+    delegatedIn[key.split(':')[0]] += amount;
+  }
+
+  return {
+    frozen,
+    delegatedOut,
+    delegatedIn,
+    unfreezing: state.pendingUnfreezes.map(({ amount, resource, unlockAt }) => ({
+      amount,
+      resource,
+      unlockAt,
+      withdrawable: unlockAt <= timestamp
+    }))
+  };
+}
+
+const createAddressMatcher = (address) => {
+  const hexAddress = toTronHex(address).toLowerCase();
+  return (addr) => !!addr && toTronHex(addr).toLowerCase() === hexAddress;
+};
+
+// Walk time-ordered transactions on from `state` (updated in place) and return every TRX
+// balance change as { hash, timestamp, delta, category } in sun, plus a stake checkpoint
+// [timestamp, stored state] after each staking transaction.
+// Categories: transfer (TRX in/out incl. contract call values), fee (burned), stake
+// (freeze/unfreeze/withdraw of staked TRX) and reward (claimed vote rewards).
+function walkTronTransactions(isSelf, transactions, executionInfo, state) {
+  const entries = [];
+  const stakeCheckpoints = [];
+  let hash;
+  const add = (timestamp, delta, category) => {
+    if (delta !== 0n) entries.push({ hash, timestamp, delta, category });
+  };
+
+  const withdrawExpired = (timestamp, reported) => {
+    const expired = state.pendingUnfreezes.filter(u => u.unlockAt <= timestamp);
+    state.pendingUnfreezes = state.pendingUnfreezes.filter(u => u.unlockAt > timestamp);
+    return reported != null ? toSun(reported) : expired.reduce((sum, u) => sum + u.amount, 0n);
+  };
+
+  for (const tx of transactions) {
+    const { timestamp } = tx;
+    const owned = isSelf(tx.ownerAddress);
+    hash = tx.hash;
+
+    // Fees are burned even when execution fails
+    if (owned) add(timestamp, -getTronFee(tx), 'fee');
+    if (tx.contractRet !== 'SUCCESS') continue;
+
+    const data = tx.contractData || {};
+    const info = executionInfo[tx.hash] || {};
+    const resource = toResource(data.resource);
+
+    switch (tx.contractType) {
+      case CONTRACT_TYPES.TRANSFER: {
+        const amount = toSun(data.amount ?? tx.amount);
+        if (isSelf(tx.toAddress)) add(timestamp, amount, 'transfer');
+        if (owned) add(timestamp, -amount, 'transfer');
+        break;
+      }
+      case CONTRACT_TYPES.CREATE_SMART_CONTRACT:
+      case CONTRACT_TYPES.TRIGGER_SMART_CONTRACT: {
+        const amount = toSun(data.call_value);
+        if (owned) add(timestamp, -amount, 'transfer');
+        else if (isSelf(data.contract_address || tx.toAddress)) add(timestamp, amount, 'transfer');
+        break;
+      }
+      case CONTRACT_TYPES.FREEZE: {
+        const amount = toSun(data.frozen_balance);
+        const receiver = data.receiver_address && !isSelf(data.receiver_address) ? data.receiver_address : '';
+        if (owned) {
+          const key = `${resource}:${receiver}`;
+          state.frozenV1[key] = (state.frozenV1[key] || 0n) + amount;
+          add(timestamp, -amount, 'stake');
+        } else if (isSelf(receiver)) {
+          const key = `${resource}:${tx.ownerAddress}`;
+          state.frozenV1In[key] = (state.frozenV1In[key] || 0n) + amount;
+        }
+        break;
+      }
+      case CONTRACT_TYPES.UNFREEZE: {
+        const receiver = data.receiver_address && !isSelf(data.receiver_address) ? data.receiver_address : '';
+        if (owned) {
+          // Stake 1.0 unfreezes everything frozen for the resource (and receiver) at once
+          const key = `${resource}:${receiver}`;
+          const amount = info.unfreeze_amount != null ? toSun(info.unfreeze_amount) : state.frozenV1[key] || 0n;
+          delete state.frozenV1[key];
+          add(timestamp, amount, 'stake');
+        } else if (isSelf(receiver)) {
+          delete state.frozenV1In[`${resource}:${tx.ownerAddress}`];
+        }
+        break;
+      }
+      case CONTRACT_TYPES.FREEZE_V2:
+        if (owned) {
+          const amount = toSun(data.frozen_balance);
+          state.frozen[resource] += amount;
+          add(timestamp, -amount, 'stake');
+        }
+        break;
+      case CONTRACT_TYPES.UNFREEZE_V2:
+        if (owned) {
+          // Unstaking also withdraws anything whose waiting period has ended
+          add(timestamp, withdrawExpired(timestamp, info.withdraw_expire_amount), 'stake');
+          const amount = toSun(data.unfreeze_balance);
+          state.frozen[resource] = subtractFloorZero(state.frozen[resource], amount);
+          state.pendingUnfreezes.push({ amount, resource, unlockAt: timestamp + UNFREEZE_DELAY_MS });
+        }
+        break;
+      case CONTRACT_TYPES.WITHDRAW_EXPIRE_UNFREEZE:
+        if (owned) add(timestamp, withdrawExpired(timestamp, info.withdraw_expire_amount), 'stake');
+        break;
+      case CONTRACT_TYPES.CANCEL_ALL_UNFREEZE_V2:
+        if (owned) {
+          // Expired amounts are withdrawn, the rest goes back to staked
+          for (const u of state.pendingUnfreezes) {
+            if (u.unlockAt > timestamp) state.frozen[u.resource] += u.amount;
+          }
+          add(timestamp, withdrawExpired(timestamp, info.withdraw_expire_amount), 'stake');
+          state.pendingUnfreezes = [];
+        }
+        break;
+      case CONTRACT_TYPES.DELEGATE_RESOURCE: {
+        const amount = toSun(data.balance);
+        if (owned) {
+          state.frozen[resource] = subtractFloorZero(state.frozen[resource], amount);
+          state.delegatedOut[resource] += amount;
+        } else if (isSelf(data.receiver_address || tx.toAddress)) {
+          state.delegatedIn[resource] += amount;
+        }
+        break;
+      }
+      case CONTRACT_TYPES.UNDELEGATE_RESOURCE: {
+        const amount = toSun(data.balance);
+        if (owned) {
+          state.delegatedOut[resource] = subtractFloorZero(state.delegatedOut[resource], amount);
+          state.frozen[resource] += amount;
+        } else if (isSelf(data.receiver_address || tx.toAddress)) {
+          state.delegatedIn[resource] = subtractFloorZero(state.delegatedIn[resource], amount);
+        }
+        break;
+      }
+      case CONTRACT_TYPES.WITHDRAW_BALANCE:
+        if (owned) add(timestamp, toSun(info.withdraw_amount ?? data.amount ?? tx.amount), 'reward');
+        break;
+      default:
+        // Votes, TRC-10 transfers etc. only cost fees
+        break;
+    }
+
+    if (STAKING_TYPES.has(tx.contractType)) {
+      const checkpoint = [timestamp, mapStakeAmounts(state, String)];
+      if (stakeCheckpoints.at(-1)?.[0] === timestamp) stakeCheckpoints[stakeCheckpoints.length - 1] = checkpoint;
+      else stakeCheckpoints.push(checkpoint);
+    }
+  }
+
+  return { entries, stakeCheckpoints };
+}
+
+// TRX moved by contracts, as transfer entries in sun
+function getInternalTransferEntries(isSelf, internalTransactions) {
+  const entries = [];
+  for (const itx of internalTransactions) {
+    if (itx.rejected) continue;
+    for (const { callValue, tokenId } of itx.callValueInfo || []) {
+      if (tokenId) continue; // TRC-10 value
+      if (isSelf(itx.to)) entries.push({ hash: itx.hash, timestamp: itx.timestamp, delta: toSun(callValue), category: 'transfer' });
+      if (isSelf(itx.from)) entries.push({ hash: itx.hash, timestamp: itx.timestamp, delta: -toSun(callValue), category: 'transfer' });
+    }
+  }
+  return entries.filter(e => e.delta !== 0n);
+}
+
+// Run update(ledger, save) on the address's ledger, starting over if it has an older layout:
+//   native  { syncedUntil, transactions, internalTransactions, executionInfo, state,
+//             checkpoints: [[ts, total, transfer, fee, stake, reward]], stakeCheckpoints: [[ts, state]] }
+//   trc20   { [contract]: { syncedUntil, transfers, checkpoints: [[ts, balance]] } }
+// Timestamps are in ms and amounts in base units, stored as strings.
+const withTronLedger = (address, network, update) => withLedger('tron', network, address, (ledger, save) => {
+  if (ledger.version !== LEDGER_VERSION) {
+    for (const key of Object.keys(ledger)) delete ledger[key];
+    ledger.version = LEDGER_VERSION;
+  }
+  return update(ledger, save);
+});
+
+// Bring one stored history up to endTimestamp (ms) with extend(stream, until) -> { stream, limits }.
+// History older than the finality window is handed to keep() to be stored, unless a listing
+// hit a limit; anything newer is fetched on every call and never stored.
+async function syncLedgerStream(stored, endTimestamp, extend, keep) {
+  const finalUntil = Math.min(endTimestamp, Date.now() - FINALITY_SECONDS * 1000);
+  const limits = [];
+  let stream = stored;
+
+  for (const [until, isFinal] of [[finalUntil, true], [endTimestamp, false]]) {
+    if (until <= stream.syncedUntil) continue;
+    const extended = await extend(stream, until);
+    if (isFinal && extended.limits.length === 0) keep(extended.stream);
+    stream = extended.stream;
+    limits.push(...extended.limits);
+  }
+
+  return { stream, limits };
+}
+
+const createNativeStream = () => ({
+  syncedUntil: 0,
+  transactions: [],
+  internalTransactions: [],
+  executionInfo: {},
+  state: mapStakeAmounts(createStakeState(), String),
+  checkpoints: [],
+  stakeCheckpoints: []
+});
+
+// Fetch and walk the address history in (stream.syncedUntil, endTimestamp] on top of a
+// native stream, returning the extended stream and leaving the given one untouched
+async function extendNativeStream(address, network, stream, endTimestamp) {
+  const [{ items: transactions, limit: transactionLimit }, { items: internalTransactions, limit: internalLimit }] = await Promise.all([
+    fetchTronTransactions(address, network, endTimestamp, stream.syncedUntil),
+    fetchTronInternalTransactions(address, network, endTimestamp, stream.syncedUntil)
+  ]);
+  const newTransactions = transactions.map(trimTransaction).sort(byTimestamp('timestamp'));
+  const newInternalTransactions = internalTransactions.map(trimInternalTransaction).sort(byTimestamp('timestamp'));
+  const isSelf = createAddressMatcher(address);
+
+  // Amounts that only exist after execution come from the node, one call per such transaction
+  const executionInfo = { ...stream.executionInfo };
+  for (const tx of newTransactions) {
+    if (tx.contractRet === 'SUCCESS' && EXECUTION_AMOUNT_TYPES.has(tx.contractType) && isSelf(tx.ownerAddress)) {
+      executionInfo[tx.hash] = trimExecutionInfo(await getTronTransactionInfo(tx.hash, network));
+    }
+  }
+
+  const state = mapStakeAmounts(stream.state, BigInt);
+  const { entries, stakeCheckpoints } = walkTronTransactions(isSelf, newTransactions, executionInfo, state);
+  entries.push(...getInternalTransferEntries(isSelf, newInternalTransactions));
+
+  return {
+    stream: {
+      syncedUntil: endTimestamp,
+      transactions: stream.transactions.concat(newTransactions),
+      internalTransactions: stream.internalTransactions.concat(newInternalTransactions),
+      executionInfo,
+      state: mapStakeAmounts(state, String),
+      checkpoints: appendCheckpoints(stream.checkpoints, entries, Object.keys(LEDGER_CATEGORIES)),
+      stakeCheckpoints: stream.stakeCheckpoints.concat(stakeCheckpoints)
+    },
+    limits: [transactionLimit, internalLimit].filter(Boolean)
+  };
+}
+
+// The address's TRX history up to endTimestamp (ms), synced into its stored ledger first
+async function syncNativeStream(address, network, endTimestamp) {
+  return withTronLedger(address, network, (ledger, save) => syncLedgerStream(
+    ledger.native || createNativeStream(),
+    endTimestamp,
+    (stream, until) => extendNativeStream(address, network, stream, until),
+    (stream) => {
+      ledger.native = stream;
+      save();
+    }
+  ));
+}
+
+// Liquid balance (in sun) at each timestamp (ms), split into the categories that make
+// it up, plus the staking state, read from the checkpoints of the synced ledger
+async function getTronHistoricalBalances(address, network, targetTimestamps) {
+  const { stream, limits } = await syncNativeStream(address, network, Math.max(...targetTimestamps));
+  const categories = Object.keys(LEDGER_CATEGORIES);
+
+  const points = targetTimestamps.map(timestamp => {
+    const [, total = 0n, ...sums] = (findCheckpoint(stream.checkpoints, timestamp) || []).map(BigInt);
+    const stakeCheckpoint = findCheckpoint(stream.stakeCheckpoints, timestamp);
+    const state = stakeCheckpoint ? mapStakeAmounts(stakeCheckpoint[1], BigInt) : createStakeState();
+
+    return {
+      value: total,
+      breakdown: Object.fromEntries(categories.map((category, i) => [
+        LEDGER_CATEGORIES[category].key,
+        BigInt(LEDGER_CATEGORIES[category].sign) * (sums[i] || 0n)
+      ])),
+      stake: snapshotStakeState(state, timestamp)
+    };
+  });
+  return { points, limits };
+}
+
+// Liquid, staked, delegated and unfreezing TRX at one point, formatted in TRX.
+// total counts everything the account owns; delegatedIn belongs to others.
+function formatTronAccount(available, { frozen, delegatedOut, delegatedIn, unfreezing }) {
+  const trx = (sun) => ethers.formatUnits(sun, TRX_DECIMALS);
+  const byResource = ({ ENERGY, BANDWIDTH }) => ({ energy: trx(ENERGY), bandwidth: trx(BANDWIDTH) });
+  const unfreezingTotal = unfreezing.reduce((sum, u) => sum + u.amount, 0n);
+
+  return {
+    available: trx(available),
+    frozen: byResource(frozen),
+    delegatedOut: byResource(delegatedOut),
+    delegatedIn: byResource(delegatedIn),
+    unfreezing: unfreezing.map(u => ({
+      amount: trx(u.amount),
+      resource: u.resource.toLowerCase(),
+      unlockAt: Math.floor(u.unlockAt / 1000),
+      withdrawable: u.withdrawable
+    })),
+    total: trx(
+      available + frozen.ENERGY + frozen.BANDWIDTH + delegatedOut.ENERGY + delegatedOut.BANDWIDTH + unfreezingTotal
+    )
+  };
+}
+
+async function getTronTokenInfo(tokenAddress, network) {
+  const baseUrl = getExplorerApiUrl(network);
+  const headers = getTronscanHeaders();
+
+  try {
+    const { data } = await fetchWithRetry(`${baseUrl}/token_trc20?contract=${tokenAddress}`, { headers });
+    if (data && data.trc20_tokens && data.trc20_tokens.length > 0) {
+      return data.trc20_tokens[0];
+    }
+    return null;
+  } catch (e) {
+    console.error("Error fetching token info:", e);
+    return null;
+  }
+}
+
+// TRC-20 transfers touching the address, for one contract or (tokenAddress = null) all of them.
+// endTimestamp and startTimestamp (ms) limit the range on the server side.
+async function fetchTronTokenTransfers(address, tokenAddress, network, endTimestamp, startTimestamp) {
+  let url = `${getExplorerApiUrl(network)}/token_trc20/transfers?sort=-timestamp&count=true&relatedAddress=${address}`;
+  if (tokenAddress) url += `&contract_address=${tokenAddress}`;
+  return fetchTronscanHistory(url, {
+    listKey: 'token_transfers',
+    timestampKey: 'block_ts',
+    label: 'token transfers',
+    startTimestamp,
+    endTimestamp
+  });
+}
+
+// Balance changes (in token base units) from TRC-20 transfers touching the address
+function getTronTokenTransferDeltas(transfers, address) {
+  const deltas = [];
+
+  for (const tx of transfers) {
+    const amount = BigInt(tx.quant || 0);
+
+    // Normalize addresses for comparison (TronScan returns Base58). A self-transfer
+    // matches both sides and nets to zero.
+    if (tx.to_address === address) {
+      deltas.push({ timestamp: tx.block_ts, delta: amount });
+    }
+    if (tx.from_address === address) {
+      deltas.push({ timestamp: tx.block_ts, delta: -amount });
+    }
+  }
+
+  return deltas;
+}
+
+const trimTokenTransfer = ({ transaction_id, block, block_ts, from_address, to_address, quant }) => ({
+  transaction_id, block, block_ts, from_address, to_address, quant
+});
+
+// Fetch the contract's transfers in (stream.syncedUntil, endTimestamp] and extend the
+// stream's balance checkpoints with them, leaving the given stream untouched
+async function extendTokenStream(address, tokenAddress, network, stream, endTimestamp) {
+  const { items, limit } = await fetchTronTokenTransfers(address, tokenAddress, network, endTimestamp, stream.syncedUntil);
+  const transfers = items.map(trimTokenTransfer).sort(byTimestamp('block_ts'));
+
+  return {
+    stream: {
+      syncedUntil: endTimestamp,
+      transfers: stream.transfers.concat(transfers),
+      checkpoints: appendCheckpoints(stream.checkpoints, getTronTokenTransferDeltas(transfers, address))
+    },
+    limits: limit ? [limit] : []
+  };
+}
+
+// The contract's transfers touching the address up to endTimestamp (ms), synced into the
+// stored ledger first
+async function syncTokenStream(address, tokenAddress, network, endTimestamp) {
+  return withTronLedger(address, network, (ledger, save) => syncLedgerStream(
+    ledger.trc20?.[tokenAddress] || { syncedUntil: 0, transfers: [], checkpoints: [] },
+    endTimestamp,
+    (current, until) => extendTokenStream(address, tokenAddress, network, current, until),
+    (synced) => {
+      ledger.trc20 = { ...ledger.trc20, [tokenAddress]: synced };
+      save();
+    }
+  ));
+}
+
+// Token balance at each timestamp (ms) from the checkpoints of the contract's synced ledger
+async function getTronTokenHistoricalBalances(address, tokenAddress, network, targetTimestamps) {
+  const { stream, limits } = await syncTokenStream(address, tokenAddress, network, Math.max(...targetTimestamps));
+
+  return {
+    values: targetTimestamps.map(timestamp => BigInt(findCheckpoint(stream.checkpoints, timestamp)?.[1] || 0)),
+    limits
+  };
+}
+
+// TRC-10 tokens are identified by a numeric id (e.g. 1002000) rather than a contract address
+const isTrc10Id = (tokenId) => /^1\d{6}$/.test(tokenId);
+
+async function getTronTrc10Info(tokenId, network) {
+  try {
+    const { data } = await fetchWithRetry(`${getExplorerApiUrl(network)}/token?id=${tokenId}&showAll=1`, { headers: getTronscanHeaders() });
+    return data?.data?.[0] || null;
+  } catch (e) {
+    console.error("Error fetching TRC-10 token info:", e);
+    return null;
+  }
+}
+
+// TRC-10 transfers of one token, direct or via contracts, in a synced TRX ledger stream
+// as { hash, block, timestamp, from, to, amount } with amounts in token base units
+function getTrc10Transfers({ transactions, internalTransactions }, tokenId) {
+  const transfers = [];
+
+  for (const tx of transactions) {
+    const data = tx.contractData || {};
+    if (tx.contractRet !== 'SUCCESS' || tx.contractType !== CONTRACT_TYPES.TRANSFER_ASSET) continue;
+    if (String(data.asset_name) !== tokenId) continue;
+    transfers.push({ hash: tx.hash, block: tx.block, timestamp: tx.timestamp, from: tx.ownerAddress, to: tx.toAddress, amount: toSun(data.amount ?? tx.amount) });
+  }
+
+  for (const itx of internalTransactions) {
+    if (itx.rejected) continue;
+    for (const { callValue, tokenId: valueTokenId } of itx.callValueInfo || []) {
+      if (String(valueTokenId) !== tokenId) continue;
+      transfers.push({ hash: itx.hash, block: itx.block, timestamp: itx.timestamp, from: itx.from, to: itx.to, amount: toSun(callValue) });
+    }
+  }
+
+  return transfers;
+}
+
+// Balance changes (in token base units) from TRC-10 transfers, direct or via contracts,
+// up to endTimestamp (ms), plus any listing limits hit. Read from the synced TRX ledger,
+// which holds the same transactions.
+async function getTronTrc10TransferDeltas(address, tokenId, network, endTimestamp) {
+  const { stream, limits } = await syncNativeStream(address, network, endTimestamp);
+  const deltas = [];
+
+  for (const { timestamp, from, to, amount } of getTrc10Transfers(stream, tokenId)) {
+    if (to === address) deltas.push({ timestamp, delta: amount });
+    if (from === address) deltas.push({ timestamp, delta: -amount });
+  }
+
+  return { deltas, limits };
+}
+
+// Balances at many timestamps (seconds) from a single replay of the address history.
+// `limits` lists any listing that stopped early, in which case the balances are incomplete.
+async function getReplayedBalances({ address, network, tokenAddress }, timestamps) {
+  // Convert timestamps to milliseconds for TronScan API
+  const targetTimestampsMs = timestamps.map(ts => ts * 1000);
+  const withLimits = (limits) => (limits.length > 0 ? { limits } : {});
+
+  try {
+    if (tokenAddress && isTrc10Id(tokenAddress)) {
+      const tokenInfo = await getTronTrc10Info(tokenAddress, network);
+      const decimals = Number(tokenInfo?.precision || 0);
+      const { deltas, limits } = await getTronTrc10TransferDeltas(address, tokenAddress, network, Math.max(...targetTimestampsMs));
+      const values = sampleRunningBalance(deltas, targetTimestampsMs);
+
+      return {
+        symbol: tokenInfo?.abbr || 'UNKNOWN',
+        note: REPLAY_NOTE,
+        ...withLimits(limits),
+        balances: values.map(value => ({
+          balance: ethers.formatUnits(value, decimals),
+          rawBalance: value.toString()
+        }))
+      };
+    }
+
+    if (tokenAddress) {
+      // TRC-20 Logic
+      const tokenInfo = await getTronTokenInfo(tokenAddress, network);
+      const decimals = tokenInfo ? Number(tokenInfo.decimals || 18) : 18;
+      const { values, limits } = await getTronTokenHistoricalBalances(address, tokenAddress, network, targetTimestampsMs);
+
+      return {
+        symbol: tokenInfo ? tokenInfo.symbol : 'UNKNOWN',
+        note: REPLAY_NOTE,
+        ...withLimits(limits),
+        balances: values.map(value => ({
+          balance: ethers.formatUnits(value, decimals),
+          rawBalance: value.toString()
+        }))
+      };
+    }
+
+    // Native TRX Logic
+    const { points, limits } = await getTronHistoricalBalances(address, network, targetTimestampsMs);
+    return {
+      symbol: 'TRX',
+      note: TRX_REPLAY_NOTE,
+      ...withLimits(limits),
+      balances: points.map(({ value, breakdown, stake }) => ({
+        balance: ethers.formatUnits(value, TRX_DECIMALS),
+        rawBalance: value.toString(),
+        breakdown: Object.fromEntries(Object.entries(breakdown).map(([key, sun]) => [key, ethers.formatUnits(sun, TRX_DECIMALS)])),
+        account: formatTronAccount(value, stake)
+      }))
+    };
+  } catch (e) {
+    console.error("Tron balance error", e);
+    throw new Error(`Failed to fetch Tron balance: ${e.message}`);
+  }
+}
+
+// Every TRC-20 contract in the address's transfer listing up to the timestamp,
+// with balances summed from those same transfers
+async function discoverHoldings({ address, network, ts, includeNative = true }) {
+  const targetTimestampMs = ts * 1000;
+  const { items: transfers, limit } = await fetchTronTokenTransfers(address, null, network, targetTimestampMs);
+
+  const stats = summarizeTokenTransfers(
+    transfers
+      .filter(tx => tx.block_ts <= targetTimestampMs)
+      .map(tx => ({
+        tokenAddress: tx.contract_address,
+        from: tx.from_address,
+        to: tx.to_address,
+        value: tx.quant,
+        symbol: tx.tokenInfo?.tokenAbbr,
+        name: tx.tokenInfo?.tokenName,
+        decimals: tx.tokenInfo?.tokenDecimal == null ? null : Number(tx.tokenInfo.tokenDecimal)
+      })),
+    address
+  );
+
+  const holdings = [...stats.values()].map(({ netAmount, decimals, ...tokenStats }) => ({
+    ...tokenStats,
+    symbol: tokenStats.symbol || 'UNKNOWN',
+    decimals: decimals ?? 18,
+    balance: ethers.formatUnits(netAmount, decimals ?? 18),
+    rawBalance: netAmount.toString()
+  }));
+
+  if (includeNative) {
+    const { balances: [native] } = await getReplayedBalances({ address, network }, [ts]);
+    holdings.unshift({ tokenAddress: null, symbol: 'TRX', decimals: TRX_DECIMALS, ...native });
+  }
+
+  return {
+    holdings,
+    truncated: !!limit,
+    ...(limit && { limits: [limit] }),
+    note: 'TRC-20 balances summed from the TronScan transfer listing'
+  };
+}
+
+// Token transfer as a transaction ledger movement; timestamps go from ms to seconds
+const toTransferMovement = (address, { hash, block, timestamp, from, to, amount }) => ({
+  hash,
+  blockNumber: block ?? null,
+  timestamp: Math.floor(timestamp / 1000),
+  counterparty: from === address ? to : from,
+  direction: from === address && to === address ? 'self' : from === address ? 'out' : 'in',
+  amount,
+  fee: null
+});
+
+// The other side of a TRX movement: sender or recipient, or the contract or resource
+// receiver the address's own transaction targeted
+function getTronCounterparty(isSelf, source) {
+  if (!source) return null;
+  if ('from' in source) return isSelf(source.from) ? source.to : source.from;
+  if (!isSelf(source.ownerAddress)) return source.ownerAddress;
+  const data = source.contractData || {};
+  return source.toAddress || data.receiver_address || data.contract_address || null;
+}
+
+// TRX movements per transaction: the net of its transfer, stake and reward entries plus
+// the fee it burned. Stake amounts depend on earlier transactions, so the whole stored
+// history is walked again and only entries in (startTimestamp, endTimestamp] (ms) are kept.
+function getTrxMovements(address, { transactions, internalTransactions, executionInfo }, startTimestamp, endTimestamp) {
+  const isSelf = createAddressMatcher(address);
+  const { entries } = walkTronTransactions(isSelf, transactions, executionInfo, createStakeState());
+  entries.push(...getInternalTransferEntries(isSelf, internalTransactions));
+
+  const sources = new Map([...internalTransactions, ...transactions].map(tx => [tx.hash, tx]));
+  const byHash = new Map();
+  for (const { hash, timestamp, delta, category } of entries.sort(byTimestamp('timestamp'))) {
+    if (timestamp <= startTimestamp || timestamp > endTimestamp) continue;
+    if (!byHash.has(hash)) byHash.set(hash, { timestamp, amount: 0n, fee: 0n, category: null });
+
+    const movement = byHash.get(hash);
+    if (category === 'fee') {
+      movement.fee -= delta;
+    } else {
+      movement.amount += delta;
+      movement.category = movement.category || category;
+    }
+  }
+
+  return [...byHash].map(([hash, { timestamp, amount, fee, category }]) => ({
+    hash,
+    blockNumber: sources.get(hash)?.block ?? null,
+    timestamp: Math.floor(timestamp / 1000),
+    counterparty: getTronCounterparty(isSelf, sources.get(hash)),
+    direction: amount > 0n ? 'in' : amount < 0n ? 'out' : 'self',
+    category: category || 'fee',
+    amount: amount < 0n ? -amount : amount,
+    fee
+  }));
+}
+
+// Balance-affecting movements in (startTs, endTs] (seconds) for the transaction ledger,
+// read from the same synced ledgers as the replay. Amounts in base units.
+async function getMovements({ address, network, tokenAddress, startTs, endTs }) {
+  const [startMs, endMs] = [startTs * 1000, endTs * 1000];
+  const inRange = (timestamp) => timestamp > startMs && timestamp <= endMs;
+
+  try {
+    if (tokenAddress && isTrc10Id(tokenAddress)) {
+      const [tokenInfo, { stream, limits }] = await Promise.all([
+        getTronTrc10Info(tokenAddress, network),
+        syncNativeStream(address, network, endMs)
+      ]);
+      return {
+        symbol: tokenInfo?.abbr || 'UNKNOWN',
+        decimals: Number(tokenInfo?.precision || 0),
+        movements: getTrc10Transfers(stream, tokenAddress)
+          .filter(transfer => inRange(transfer.timestamp))
+          .sort(byTimestamp('timestamp'))
+          .map(transfer => toTransferMovement(address, transfer)),
+        limits
+      };
+    }
+
+    if (tokenAddress) {
+      const [tokenInfo, { stream, limits }] = await Promise.all([
+        getTronTokenInfo(tokenAddress, network),
+        syncTokenStream(address, tokenAddress, network, endMs)
+      ]);
+      return {
+        symbol: tokenInfo ? tokenInfo.symbol : 'UNKNOWN',
+        decimals: tokenInfo ? Number(tokenInfo.decimals || 18) : 18,
+        movements: stream.transfers
+          .filter(tx => inRange(tx.block_ts))
+          .map(tx => toTransferMovement(address, {
+            hash: tx.transaction_id,
+            block: tx.block,
+            timestamp: tx.block_ts,
+            from: tx.from_address,
+            to: tx.to_address,
+            amount: BigInt(tx.quant || 0)
+          })),
+        limits
+      };
+    }
+
+    const { stream, limits } = await syncNativeStream(address, network, endMs);
+    return {
+      symbol: 'TRX',
+      decimals: TRX_DECIMALS,
+      movements: getTrxMovements(address, stream, startMs, endMs),
+      note: 'Liquid TRX movements; staking moves TRX out of (and back into) the liquid balance',
+      limits
+    };
+  } catch (e) {
+    console.error("Tron transactions error", e);
+    throw new Error(`Failed to fetch Tron transactions: ${e.message}`);
+  }
+}
+
+// Authoritative balance right now from the node: liquid TRX and TRC-10 from getaccount,
+// TRC-20 from a constant balanceOf call. Used to check the replay.
+async function getCurrentBalance({ address, network, tokenAddress }) {
+  if (tokenAddress && !isTrc10Id(tokenAddress)) {
+    const parameter = toTronHex(address).slice(2).padStart(64, '0');
+    const [result, tokenInfo] = await Promise.all([
+      callTronNode(network, 'triggerconstantcontract', {
+        owner_address: address,
+        contract_address: tokenAddress,
+        function_selector: 'balanceOf(address)',
+        parameter,
+        visible: true
+      }),
+      getTronTokenInfo(tokenAddress, network)
+    ]);
+    const hex = result.constant_result?.[0];
+    if (!hex) throw new Error(result.result?.message || 'balanceOf call returned no result');
+    const decimals = tokenInfo ? Number(tokenInfo.decimals || 18) : 18;
+    return { rawBalance: BigInt(`0x${hex}`).toString(), decimals, source: 'TronGrid balanceOf' };
+  }
+
+  const account = await callTronNode(network, 'getaccount', { address, visible: true });
+
+  if (tokenAddress) {
+    const tokenInfo = await getTronTrc10Info(tokenAddress, network);
+    const asset = (account.assetV2 || []).find(a => String(a.key) === tokenAddress);
+    return { rawBalance: String(asset?.value || 0), decimals: Number(tokenInfo?.precision || 0), source: 'TronGrid getaccount' };
+  }
+
+  // Accounts that were never activated come back empty
+  return { rawBalance: String(account.balance || 0), decimals: TRX_DECIMALS, source: 'TronGrid getaccount' };
+}
+
+const getBalanceAt = async ({ address, network, tokenAddress, ts }) => {
+  const { symbol, note, limits, balances: [point] } = await getReplayedBalances({ address, network, tokenAddress }, [ts]);
+  return {
+    balance: point.balance,
+    symbol,
+    rawBalance: point.rawBalance,
+    note,
+    ...(limits && { limits }),
+    ...(point.breakdown && { breakdown: point.breakdown, account: point.account })
+  };
+};
+
+const tron = {
+  id: 'tron',
+  name: 'Tron',
+  icon: '/icons/tron.png',
+  kind: 'tron',
+  nativeSymbol: 'TRX',
+  nativeDecimals: 6,
+  supportsTokens: true,
+  addressPlaceholder: 'T...',
+  networks,
+  blockProvider: 'tronscan',
+  balanceProvider: 'tronscan',
+  finalitySeconds: FINALITY_SECONDS,
+  validateAddress: isTronAddress,
+  validateTokenAddress: (tokenAddress) => isTronAddress(tokenAddress) || isTrc10Id(tokenAddress),
+  getBlockNumberByTimestamp: getTronBlockNumberByTimestamp,
+  getNativeBalance: getBalanceAt,
+  getTokenBalance: getBalanceAt,
+  getReplayedBalances,
+  getCurrentBalance,
+  discoverHoldings,
+  getMovements
+};
+
+export default tron;
@@ -0,0 +1,317 @@
+import { ethers } from 'ethers';
+import { decodeBase58Check, decodeCashAddress, encodeCashAddress, isBase58CheckAddress, isBech32Address } from '@/lib/address';
+import { deriveAddress, parseExtendedKey } from '@/lib/hd';
+import { sampleRunningBalance } from '@/lib/replay';
+import { getUtxoBackend, getUtxoBackendName } from '@/lib/utxo';
+import { getNetworkConfig } from './common';
+
+const UTXO_DECIMALS = 8;
+// Unused addresses in a row after which HD wallets stop looking (BIP44)
+const GAP_LIMIT = 20;
+// Per branch (receive or change), to bound the work for very large wallets
+const MAX_DERIVED_ADDRESSES = 1000;
+
+// Bitcoin Cash backends are queried with the full CashAddr ("bitcoincash:q..."), so legacy
+// and prefix-less addresses are converted; other networks use the address as given
+function toBackendAddress(address, { cashAddrPrefix, p2shVersion }) {
+  if (!cashAddrPrefix) return address;
+
+  const cashAddr = decodeCashAddress(address, cashAddrPrefix);
+  if (cashAddr) return encodeCashAddress(cashAddrPrefix, cashAddr.type, cashAddr.hash);
+
+  const payload = decodeBase58Check(address);
+  return encodeCashAddress(cashAddrPrefix, payload[0] === p2shVersion ? 'p2sh' : 'p2pkh', payload.slice(1));
+}
+
+// Each output adds its value when received and removes it again when spent
+const toDeltas = (outputs) => outputs.flatMap(({ value, timestamp, spentTimestamp }) => [
+  { timestamp, delta: value },
+  ...(spentTimestamp !== null ? [{ timestamp: spentTimestamp, delta: -value }] : [])
+]);
+
+// Outputs still unspent at `ts` (seconds)
+const unspentAt = (outputs, ts) => outputs.filter(out => (
+  out.timestamp <= ts && (out.spentTimestamp === null || out.spentTimestamp > ts)
+));
+
+// Sums outputs minus inputs, in satoshis, up to each timestamp (seconds) from one history
+// lookup that covers the latest one. Returns { values, limits }.
+async function getAddressBalances(backend, address, timestamps) {
+  const { outputsByAddress, limits } = await backend.getAddressOutputs([address], Math.max(...timestamps));
+  return { values: sampleRunningBalance(toDeltas(outputsByAddress.get(address) || []), timestamps), limits };
+}
+
+// Derive receive (0/i) and change (1/i) addresses of an extended key and read their history
+// up to `till` (seconds), stopping each branch after GAP_LIMIT addresses in a row without any.
+// Every round queries the next addresses of both branches at once.
+// Returns { used: [{ address, path, outputs }], limits, fees }.
+async function scanExtendedKey(backend, { node, script }, networkConfig, till) {
+  const branches = [0, 1].map(change => ({ change, node: node.deriveChild(change), derived: 0, lastUsed: -1 }));
+  const used = [];
+  const limits = [];
+  const fees = new Map();
+
+  for (;;) {
+    const batch = [];
+    for (const branch of branches) {
+      const end = Math.min(branch.lastUsed + GAP_LIMIT, MAX_DERIVED_ADDRESSES - 1);
+      for (; branch.derived <= end; branch.derived++) {
+        const address = deriveAddress(branch.node.deriveChild(branch.derived), script, networkConfig);
+        batch.push({ address, branch, index: branch.derived });
+      }
+    }
+    if (batch.length === 0) break;
+
+    const result = await backend.getAddressOutputs(batch.map(item => item.address), till);
+    for (const limit of result.limits) {
+      if (!limits.some(l => l.listing === limit.listing)) limits.push(limit);
+    }
+    for (const [txid, fee] of result.fees || []) fees.set(txid, fee);
+
+    for (const { address, branch, index } of batch) {
+      const outputs = result.outputsByAddress.get(address);
+      if (!outputs) continue;
+      used.push({ address, path: `${branch.change}/${index}`, change: branch.change, index, outputs });
+      branch.lastUsed = Math.max(branch.lastUsed, index);
+    }
+  }
+
+  for (const branch of branches) {
+    if (branch.lastUsed + GAP_LIMIT >= MAX_DERIVED_ADDRESSES) {
+      const label = branch.change === 0 ? 'receive addresses' : 'change addresses';
+      limits.push({ listing: label, fetched: MAX_DERIVED_ADDRESSES, reason: `Stopped deriving ${label} at ${MAX_DERIVED_ADDRESSES}; later ones were not checked` });
+    }
+  }
+
+  used.sort((a, b) => a.change - b.change || a.index - b.index);
+  return { used, limits, fees };
+}
+
+// Outputs of the address, or of every used address derived from an extended key, up to
+// `till` (seconds). Returns { owners: [{ address, path?, outputs }], limits, fees }.
+async function getOwnedOutputs(backend, config, address, extendedKey, till) {
+  if (extendedKey) {
+    const { used, limits, fees } = await scanExtendedKey(backend, extendedKey, config, till);
+    return { owners: used, limits, fees };
+  }
+
+  const owner = toBackendAddress(address, config);
+  const { outputsByAddress, limits, fees = new Map() } = await backend.getAddressOutputs([owner], till);
+  return { owners: [{ address: owner, outputs: outputsByAddress.get(owner) || [] }], limits, fees };
+}
+
+// Transaction ledger movements in (startTs, endTs] (seconds), one per transaction that paid
+// to or spent from the owned outputs. Spends within the wallet net out; a known fee is only
+// split off when the wallet funded the whole transaction.
+function getUtxoMovements(owners, fees, startTs, endTs) {
+  const inRange = (timestamp) => timestamp !== null && timestamp > startTs && timestamp <= endTs;
+  const byTxid = new Map();
+  const touch = (txid, blockNumber, timestamp) => {
+    if (!byTxid.has(txid)) byTxid.set(txid, { hash: txid, blockNumber, timestamp, received: 0n, spent: 0n });
+    return byTxid.get(txid);
+  };
+
+  for (const { outputs } of owners) {
+    for (const out of outputs) {
+      if (inRange(out.timestamp)) touch(out.txid, out.blockHeight, out.timestamp).received += out.value;
+      if (inRange(out.spentTimestamp)) touch(out.spentTxid, out.spentBlockHeight, out.spentTimestamp).spent += out.value;
+    }
+  }
+
+  return [...byTxid.values()].map(({ received, spent, ...tx }) => {
+    const net = received - spent;
+    if (net > 0n) return { ...tx, counterparty: null, direction: 'in', amount: net, fee: null };
+
+    const fee = fees.get(tx.hash);
+    const paidFee = fee !== undefined && fee <= -net ? fee : null;
+    const amount = -net - (paidFee ?? 0n);
+    return { ...tx, counterparty: null, direction: amount === 0n ? 'self' : 'out', amount, fee: paidFee };
+  });
+}
+
+// Balance of every address found by scanning an extended key, summed at each timestamp
+// (seconds). Returns { values, limits, addresses, usedCount } where addresses lists the
+// non-zero { address, path, value } at each timestamp.
+async function getExtendedKeyBalances(backend, networkConfig, extendedKey, timestamps) {
+  const { used, limits } = await scanExtendedKey(backend, extendedKey, networkConfig, Math.max(...timestamps));
+  const perAddress = used.map(({ address, path, outputs }) => ({ address, path, values: sampleRunningBalance(toDeltas(outputs), timestamps) }));
+
+  return {
+    values: timestamps.map((_, i) => perAddress.reduce((sum, a) => sum + a.values[i], 0n)),
+    limits,
+    addresses: timestamps.map((_, i) => perAddress
+      .filter(a => a.values[i] !== 0n)
+      .map(({ address, path, values }) => ({ address, path, value: values[i] }))),
+    usedCount: used.length
+  };
+}
+
+// Build an adapter for a UTXO chain whose history comes from a backend in @/lib/utxo
+// (Bitquery, Esplora or Electrum, chosen per network from the environment).
+// Each network needs { label, base58Versions, p2pkhVersion, p2shVersion } plus bech32Hrp
+// where segwit exists, or cashAddrPrefix for Bitcoin Cash, and sets what its backends
+// need: bitqueryNetwork, esploraUrl, electrumUrl and optionally the default `backend`.
+// With Bitquery, esploraUrl is still used to check replayed balances against the live
+// UTXO set. Networks that list extendedKeyPrefixes (e.g. ['xpub', 'ypub', 'zpub']) also
+// take an extended public key in place of the address.
+export function createUtxoChain({ id, name, icon, nativeSymbol, networks }) {
+  const networkConfig = (network) => getNetworkConfig(id, networks, network);
+  const backendFor = (network) => getUtxoBackend(id, network, networkConfig(network));
+  const backendName = (network) => getUtxoBackendName(id, network, networkConfig(network));
+
+  const getReplayedBalances = async ({ address, network }, timestamps) => {
+    const config = networkConfig(network);
+    const extendedKey = parseExtendedKey(address, config.extendedKeyPrefixes || []);
+    let backend, values, limits, addresses, usedCount;
+    try {
+      backend = backendFor(network);
+      ({ values, limits, addresses, usedCount } = extendedKey
+        ? await getExtendedKeyBalances(backend, config, extendedKey, timestamps)
+        : await getAddressBalances(backend, toBackendAddress(address, config), timestamps));
+    } catch (e) {
+      console.error(`${id} balance error`, e);
+      throw new Error(`Failed to fetch ${id} balance: ${e.message}`);
+    }
+
+    return {
+      symbol: nativeSymbol,
+      provider: backend.name,
+      note: extendedKey
+        ? `Historical balance of the ${usedCount} used addresses derived from the ${extendedKey.prefix} (gap limit ${GAP_LIMIT}), calculated via ${backend.label}`
+        : `Historical balance calculated via ${backend.label}`,
+      ...(limits.length > 0 && { limits }),
+      balances: values.map((value, i) => ({
+        balance: ethers.formatUnits(value, UTXO_DECIMALS),
+        rawBalance: value.toString(),
+        ...(addresses && {
+          addresses: addresses[i].map(({ address: derived, path, value: addressValue }) => ({
+            address: derived,
+            path,
+            balance: ethers.formatUnits(addressValue, UTXO_DECIMALS),
+            rawBalance: addressValue.toString()
+          }))
+        })
+      }))
+    };
+  };
+
+  const getNativeBalance = async ({ address, network, ts }) => {
+    const { symbol, provider, note, limits, balances: [point] } = await getReplayedBalances({ address, network }, [ts]);
+    return {
+      balance: point.balance,
+      symbol,
+      rawBalance: point.rawBalance,
+      provider,
+      note,
+      ...(limits && { limits }),
+      ...(point.addresses && { addresses: point.addresses })
+    };
+  };
+
+  // Outputs owned at `ts` (seconds), oldest first, each with the block it was created in and
+  // its age at `ts`. The values add up to the balance. For extended keys every UTXO also
+  // carries the derived address and path holding it.
+  const getUtxoSnapshot = async ({ address, network, ts }) => {
+    const config = networkConfig(network);
+    const extendedKey = parseExtendedKey(address, config.extendedKeyPrefixes || []);
+    let backend, owners, limits;
+    try {
+      backend = backendFor(network);
+      ({ owners, limits } = await getOwnedOutputs(backend, config, address, extendedKey, ts));
+    } catch (e) {
+      console.error(`${id} UTXO error`, e);
+      throw new Error(`Failed to fetch ${id} UTXOs: ${e.message}`);
+    }
+
+    const utxos = owners
+      .flatMap(({ address: owner, path, outputs }) => unspentAt(outputs, ts).map(out => ({ ...out, address: owner, path })))
+      .sort((a, b) => a.timestamp - b.timestamp || a.txid.localeCompare(b.txid) || a.vout - b.vout);
+    const total = utxos.reduce((sum, out) => sum + out.value, 0n);
+
+    return {
+      balance: ethers.formatUnits(total, UTXO_DECIMALS),
+      symbol: nativeSymbol,
+      rawBalance: total.toString(),
+      note: `${utxos.length} unspent outputs${extendedKey ? ` across the addresses derived from the ${extendedKey.prefix}` : ''}, listed via ${backend.label}`,
+      ...(limits.length > 0 && { limits }),
+      utxos: utxos.map(out => ({
+        txid: out.txid,
+        vout: out.vout,
+        value: ethers.formatUnits(out.value, UTXO_DECIMALS),
+        rawValue: out.value.toString(),
+        blockHeight: out.blockHeight,
+        blockTime: out.timestamp,
+        ageSeconds: ts - out.timestamp,
+        ...(extendedKey && { address: out.address, path: out.path })
+      }))
+    };
+  };
+
+  const getMovements = async ({ address, network, startTs, endTs }) => {
+    const config = networkConfig(network);
+    const extendedKey = parseExtendedKey(address, config.extendedKeyPrefixes || []);
+    let backend, owners, limits, fees;
+    try {
+      backend = backendFor(network);
+      ({ owners, limits, fees } = await getOwnedOutputs(backend, config, address, extendedKey, endTs));
+    } catch (e) {
+      console.error(`${id} transactions error`, e);
+      throw new Error(`Failed to fetch ${id} transactions: ${e.message}`);
+    }
+
+    return {
+      symbol: nativeSymbol,
+      decimals: UTXO_DECIMALS,
+      movements: getUtxoMovements(owners, fees, startTs, endTs),
+      note: `Net effect of each transaction on the ${extendedKey ? `addresses derived from the ${extendedKey.prefix}` : 'address'}, via ${backend.label}; fees are split off only where the backend reports them (Esplora)`,
+      limits
+    };
+  };
+
+  // Confirmed balance in satoshis from the backend's live view (Esplora or Electrum)
+  const getCurrentBalance = async ({ address, network }) => {
+    const config = networkConfig(network);
+    if (parseExtendedKey(address, config.extendedKeyPrefixes || [])) {
+      throw new Error('Node balances are looked up per address, not for extended public keys');
+    }
+
+    const backend = backendFor(network);
+    if (!backend.getCurrentBalance) throw new Error(`No Esplora API configured for ${name} ${network}`);
+    return { ...await backend.getCurrentBalance(toBackendAddress(address, config)), decimals: UTXO_DECIMALS };
+  };
+
+  const validateAddress = (address, network = 'mainnet') => {
+    const { base58Versions, bech32Hrp, cashAddrPrefix, extendedKeyPrefixes = [] } = networks[network] || {};
+    if (!base58Versions) return false;
+    return isBase58CheckAddress(address, base58Versions)
+      || (!!bech32Hrp && isBech32Address(address, bech32Hrp))
+      || (!!cashAddrPrefix && !!decodeCashAddress(address, cashAddrPrefix))
+      || !!parseExtendedKey(address, extendedKeyPrefixes);
+  };
+
+  return {
+    id,
+    name,
+    icon,
+    kind: 'utxo',
+    nativeSymbol,
+    nativeDecimals: UTXO_DECIMALS,
+    supportsTokens: false,
+    addressPlaceholder: 'Address or xpub...',
+    extendedKeyPrefixes: [...new Set(Object.values(networks).flatMap(n => n.extendedKeyPrefixes || []))],
+    networks,
+    // Rate limited per backend, which each network picks for itself
+    blockProvider: backendName,
+    balanceProvider: backendName,
+    // Indexers lag behind the tip and blocks need several confirmations
+    finalitySeconds: 2 * 3600,
+    validateAddress,
+    getBlockNumberByTimestamp: (network, timestamp) => backendFor(network).getBlockNumberByTimestamp(timestamp),
+    getBalanceSource: backendName,
+    getNativeBalance,
+    getReplayedBalances,
+    getUtxoSnapshot,
+    getMovements,
+    getCurrentBalance
+  };
+}
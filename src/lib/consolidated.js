@@ -0,0 +1,74 @@
+import { ethers } from 'ethers';
+import { runBalanceBatch } from '@/lib/batch';
+import { getPriceAssetId } from '@/lib/pricing/assets';
+import { listWallets } from '@/lib/wallets';
+
+// Sum of exact decimal strings, which may have different numbers of decimals
+function sumDecimals(values) {
+  const scale = Math.max(0, ...values.map(value => (value.split('.')[1] || '').length));
+  return ethers.formatUnits(values.reduce((total, value) => total + ethers.parseUnits(value, scale), 0n), scale);
+}
+
+// Assets with a price id (native coins, known stablecoins) are totalled across chains;
+// anything else per chain and contract
+const getAssetKey = ({ chain, network, tokenAddress }) => (
+  getPriceAssetId(chain, network, tokenAddress) || `${chain}:${network}:${tokenAddress || 'native'}`
+);
+
+// Balances of every wallet in the entity (native plus tracked tokens) at one timestamp,
+// totalled by asset. Each chain/network block is resolved once and listed in `blocks`
+// so the snapshot can be checked against an explorer. Null when the entity has no wallets.
+export async function getEntityReport({ entity, date, ts }) {
+  const wallets = (await listWallets()).filter(wallet => wallet.entity === entity);
+  if (wallets.length === 0) return null;
+
+  const items = wallets.flatMap(wallet => [undefined, ...wallet.tokens].map(tokenAddress => ({
+    address: wallet.address,
+    chain: wallet.chain,
+    network: wallet.network,
+    date,
+    tokenAddress
+  })));
+  const { results, summary } = await runBalanceBatch(items);
+
+  const blocks = new Map();
+  const totals = new Map();
+  let next = 0;
+  const walletResults = wallets.map(wallet => ({
+    id: wallet.id,
+    label: wallet.label,
+    chain: wallet.chain,
+    network: wallet.network,
+    address: wallet.address,
+    tags: wallet.tags,
+    holdings: [undefined, ...wallet.tokens].map(tokenAddress => {
+      const result = results[next++];
+      if (!result.ok) return { tokenAddress, error: result.error };
+
+      blocks.set(`${wallet.chain}:${wallet.network}`, { chain: wallet.chain, network: wallet.network, blockNumber: result.blockNumber });
+
+      const key = getAssetKey({ ...wallet, tokenAddress });
+      if (!totals.has(key)) totals.set(key, { asset: key, symbol: result.symbol, balances: [], chains: new Set() });
+      const total = totals.get(key);
+      total.balances.push(result.balance);
+      total.chains.add(wallet.chain);
+
+      return { tokenAddress, symbol: result.symbol, balance: result.balance, rawBalance: result.rawBalance, blockNumber: result.blockNumber };
+    })
+  }));
+
+  return {
+    entity,
+    date,
+    timestamp: ts,
+    blocks: [...blocks.values()],
+    totals: [...totals.values()].map(({ balances, chains, ...total }) => ({
+      ...total,
+      balance: sumDecimals(balances),
+      chains: [...chains],
+      holdings: balances.length
+    })),
+    wallets: walletResults,
+    summary
+  };
+}
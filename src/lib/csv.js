@@ -0,0 +1,73 @@
+// Small RFC 4180 style CSV helpers shared by the UI and API routes.
+
+// Parse CSV text into an array of rows (arrays of strings).
+// Handles quoted fields, escaped quotes ("") and CRLF line endings.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// Parse CSV with a header row into objects keyed by lower-cased header names
+export function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const keys = header.map(h => h.trim().toLowerCase());
+  return rows.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] || '').trim()])));
+}
+
+const escapeCsvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Serialise objects to CSV using the given column keys as the header
+export function toCsv(records, columns) {
+  const lines = [columns.join(',')];
+  for (const record of records) {
+    lines.push(columns.map(col => escapeCsvField(record[col])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,98 @@
+import { getPriceAssetId } from '@/lib/pricing/assets';
+import { getFiatValuation } from '@/lib/pricing';
+
+// Names/symbols used by airdropped scam tokens to lure holders to a site
+const SPAM_NAME_PATTERNS = [
+  /https?:\/\//i,
+  /www\./i,
+  /t\.me\//i,
+  /\.(com|io|org|net|xyz|site|app|finance|top|vip)\b/i,
+  /\b(claim|visit|airdrop|reward|voucher)\b/i
+];
+
+const DEFAULT_OPTIONS = {
+  excludeZero: true,
+  excludeSpam: true,
+  onlyKnown: false
+};
+
+// Why a discovered token looks like spam, or null. Known assets are never spam.
+function getSpamReason(holding) {
+  if (holding.knownAsset) return null;
+
+  const label = `${holding.name || ''} ${holding.symbol || ''}`;
+  if (SPAM_NAME_PATTERNS.some(pattern => pattern.test(label))) {
+    return 'Suspicious token name';
+  }
+
+  // Address-poisoning tokens only ever show up as zero-value transfers
+  if (holding.transferCount > 0 && holding.zeroValueCount === holding.transferCount) {
+    return 'Only zero-value transfers';
+  }
+
+  return null;
+}
+
+export const parseDiscoverOptions = (discover) => ({
+  ...DEFAULT_OPTIONS,
+  ...(discover && typeof discover === 'object' ? discover : {})
+});
+
+// Every token the address touched up to the block, with its balance at that block.
+// Zero balances, likely spam and (optionally) unknown tokens are filtered out and counted.
+export async function getHistoricalDiscovery(adapter, { address, chain, network, date, ts, currency, discover, includeNative }, blockNumber) {
+  const options = parseDiscoverOptions(discover);
+  const { holdings, truncated, limits, note } = await adapter.discoverHoldings({ address, network, blockNumber, ts, includeNative });
+
+  const excluded = { zero: 0, spam: 0, unknown: 0 };
+  const kept = [];
+
+  for (const holding of holdings) {
+    const isNative = !holding.tokenAddress;
+    holding.knownAsset = isNative || !!getPriceAssetId(chain, network, holding.tokenAddress);
+    const spamReason = isNative ? null : getSpamReason(holding);
+    if (spamReason) holding.spamReason = spamReason;
+
+    if (options.excludeSpam && spamReason) {
+      excluded.spam++;
+    } else if (options.excludeZero && !isNative && !holding.error && BigInt(holding.rawBalance) === 0n) {
+      excluded.zero++;
+    } else if (options.onlyKnown && !holding.knownAsset) {
+      excluded.unknown++;
+    } else {
+      kept.push(holding);
+    }
+  }
+
+  if (currency) {
+    await Promise.all(kept.map(async (holding) => {
+      if (holding.error) return;
+      holding.fiat = await getFiatValuation({
+        chain,
+        network,
+        tokenAddress: holding.tokenAddress,
+        balance: holding.balance,
+        timestamp: ts,
+        currency
+      });
+    }));
+  }
+
+  return {
+    chain,
+    network,
+    address,
+    date,
+    timestamp: ts,
+    blockNumber,
+    holdings: kept,
+    discovery: {
+      tokensSeen: holdings.filter(h => h.tokenAddress).length,
+      excluded,
+      truncated: !!truncated,
+      options
+    },
+    ...(limits && { limits }),
+    ...(note && { note })
+  };
+}
@@ -0,0 +1,151 @@
+import { toCsv } from '@/lib/csv';
+
+// Accounting exports of balance results and transaction ledgers. Amounts are the exact
+// decimal strings the lookups return (formatted from rawBalance / rawAmount), never floats.
+// `accounts` is { wallet, clearing, fees, staked, rewards } with the ledger account codes to
+// book to.
+
+const JOURNAL_COLUMNS = ['date', 'account', 'debit', 'credit', 'asset', 'memo'];
+
+// "2024-01-31 23:59:59", UTC
+const formatUtc = (timestamp) => new Date(timestamp * 1000).toISOString().replace('T', ' ').slice(0, 19);
+const formatDate = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+
+const txMemo = (movement) => `tx ${movement.hash} block #${movement.blockNumber ?? '?'}`;
+
+// Ledger categories (Tron): staking and unstaking only move the wallet's own funds, so the
+// tax tools get just the fee they paid; claimed rewards are income
+const isStake = (movement) => movement.category === 'stake';
+const isReward = (movement) => movement.category === 'reward' && movement.direction === 'in';
+const isFeeOnly = (movement) => movement.direction === 'self' || isStake(movement);
+const hasFee = (movement) => !!movement.rawFee && movement.rawFee !== '0';
+const taxMovements = (ledger) => ledger.movements.filter(movement => !isStake(movement) || hasFee(movement));
+
+// Two journal lines moving `amount` from the credited account to the debited one
+const journalEntry = (timestamp, debitAccount, creditAccount, amount, asset, memo) => [
+  { date: formatDate(timestamp), account: debitAccount, debit: amount, credit: '', asset, memo },
+  { date: formatDate(timestamp), account: creditAccount, debit: '', credit: amount, asset, memo }
+];
+
+// Receipts are debited to the wallet and sends credited, against the clearing account;
+// stakes move between the wallet and the staked account, rewards are credited to income
+// and fees the wallet paid are expensed
+function journalMovements(ledger, accounts) {
+  return ledger.movements.flatMap(movement => {
+    const memo = `${txMemo(movement)}${movement.counterparty ? ` ${movement.direction === 'in' ? 'from' : 'to'} ${movement.counterparty}` : ''}`;
+    const other = isStake(movement) ? accounts.staked : isReward(movement) ? accounts.rewards : accounts.clearing;
+    const lines = [];
+    if (movement.direction === 'in') {
+      lines.push(...journalEntry(movement.timestamp, accounts.wallet, other, movement.amount, ledger.symbol, memo));
+    } else if (movement.direction === 'out') {
+      lines.push(...journalEntry(movement.timestamp, other, accounts.wallet, movement.amount, ledger.symbol, memo));
+    }
+    if (hasFee(movement)) {
+      lines.push(...journalEntry(movement.timestamp, accounts.fees, accounts.wallet, movement.fee, ledger.symbol, `fee ${memo}`));
+    }
+    return lines;
+  });
+}
+
+// A balance result (single or per holding) as entries stating each balance on the wallet account
+function journalBalance(result, accounts) {
+  const holdings = result.holdings ? result.holdings.filter(holding => !holding.error) : [result];
+  return holdings.flatMap(holding => journalEntry(
+    result.timestamp,
+    accounts.wallet,
+    accounts.clearing,
+    holding.balance,
+    holding.symbol,
+    `balance of ${result.address} on ${result.chain} ${result.network} at block #${result.blockNumber} (raw ${holding.rawBalance}${holding.tokenAddress ? `, token ${holding.tokenAddress}` : ''})`
+  ));
+}
+
+// Koinly universal import format
+const KOINLY_COLUMNS = [
+  'Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency',
+  'Fee Amount', 'Fee Currency', 'Net Worth Amount', 'Net Worth Currency', 'Label', 'Description', 'TxHash'
+];
+
+const koinlyMovements = (ledger) => taxMovements(ledger).map(movement => {
+  const feeOnly = isFeeOnly(movement);
+  return {
+    'Date': `${formatUtc(movement.timestamp)} UTC`,
+    'Sent Amount': feeOnly ? movement.fee : movement.direction === 'out' ? movement.amount : '',
+    'Sent Currency': feeOnly || movement.direction === 'out' ? ledger.symbol : '',
+    'Received Amount': !feeOnly && movement.direction === 'in' ? movement.amount : '',
+    'Received Currency': !feeOnly && movement.direction === 'in' ? ledger.symbol : '',
+    'Fee Amount': feeOnly ? '' : movement.fee ?? '',
+    'Fee Currency': !feeOnly && movement.fee ? ledger.symbol : '',
+    'Label': feeOnly ? 'cost' : isReward(movement) ? 'reward' : '',
+    'Description': `${ledger.chain} block #${movement.blockNumber ?? '?'}`,
+    'TxHash': movement.hash
+  };
+});
+
+// CoinTracking CSV import
+const COINTRACKING_COLUMNS = [
+  'Type', 'Buy Amount', 'Buy Currency', 'Sell Amount', 'Sell Currency',
+  'Fee', 'Fee Currency', 'Exchange', 'Trade-Group', 'Comment', 'Date', 'Tx-ID'
+];
+
+const COINTRACKING_TYPES = { in: 'Deposit', out: 'Withdrawal', self: 'Other Fee' };
+
+const cointrackingMovements = (ledger, accounts) => taxMovements(ledger).map(movement => {
+  const feeOnly = isFeeOnly(movement);
+  return {
+    'Type': feeOnly ? COINTRACKING_TYPES.self : isReward(movement) ? 'Staking' : COINTRACKING_TYPES[movement.direction],
+    'Buy Amount': !feeOnly && movement.direction === 'in' ? movement.amount : '',
+    'Buy Currency': !feeOnly && movement.direction === 'in' ? ledger.symbol : '',
+    'Sell Amount': feeOnly ? movement.fee : movement.direction === 'out' ? movement.amount : '',
+    'Sell Currency': feeOnly || movement.direction === 'out' ? ledger.symbol : '',
+    'Fee': feeOnly ? '' : movement.fee ?? '',
+    'Fee Currency': !feeOnly && movement.fee ? ledger.symbol : '',
+    'Exchange': accounts.wallet,
+    'Trade-Group': ledger.chain,
+    'Comment': txMemo(movement),
+    'Date': formatUtc(movement.timestamp),
+    'Tx-ID': movement.hash
+  };
+});
+
+// CryptoTaxCalculator advanced CSV
+const CTC_COLUMNS = [
+  'Timestamp (UTC)', 'Type', 'Base Currency', 'Base Amount', 'Quote Currency (Optional)', 'Quote Amount (Optional)',
+  'Fee Currency (Optional)', 'Fee Amount (Optional)', 'From (Optional)', 'To (Optional)', 'Blockchain (Optional)',
+  'ID (Optional)', 'Description (Optional)'
+];
+
+const CTC_TYPES = { in: 'receive', out: 'send', self: 'fee' };
+
+const ctcMovements = (ledger) => taxMovements(ledger).map(movement => {
+  const feeOnly = isFeeOnly(movement);
+  return {
+    'Timestamp (UTC)': formatUtc(movement.timestamp),
+    'Type': feeOnly ? CTC_TYPES.self : isReward(movement) ? 'staking' : CTC_TYPES[movement.direction],
+    'Base Currency': ledger.symbol,
+    'Base Amount': feeOnly ? movement.fee : movement.amount,
+    'Fee Currency (Optional)': !feeOnly && movement.fee ? ledger.symbol : '',
+    'Fee Amount (Optional)': feeOnly ? '' : movement.fee ?? '',
+    'From (Optional)': movement.direction === 'in' ? movement.counterparty ?? '' : ledger.address,
+    'To (Optional)': movement.direction === 'in' ? ledger.address : movement.counterparty ?? '',
+    'Blockchain (Optional)': ledger.chain,
+    'ID (Optional)': movement.hash,
+    'Description (Optional)': `block #${movement.blockNumber ?? '?'}`
+  };
+});
+
+// format -> label, columns and the record builders it has for balances and for movements
+export const EXPORT_FORMATS = {
+  journal: { label: 'Journal entries', columns: JOURNAL_COLUMNS, balance: journalBalance, movements: journalMovements },
+  koinly: { label: 'Koinly', columns: KOINLY_COLUMNS, movements: koinlyMovements },
+  cointracking: { label: 'CoinTracking', columns: COINTRACKING_COLUMNS, movements: cointrackingMovements },
+  cryptotaxcalculator: { label: 'Crypto Tax Calculator', columns: CTC_COLUMNS, movements: ctcMovements }
+};
+
+// CSV of a balance result (`kind` 'balance') or a transaction ledger (`kind` 'movements')
+export function toExportCsv(format, kind, data, accounts) {
+  const exporter = EXPORT_FORMATS[format];
+  if (!exporter) throw new Error(`Unknown export format: ${format} (expected one of ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  if (!exporter[kind]) throw new Error(`${exporter.label} exports only cover transaction movements`);
+  return toCsv(exporter[kind](data, accounts), exporter.columns);
+}
@@ -0,0 +1,63 @@
+import { HDNodeWallet, concat, getBytes, ripemd160, sha256 } from 'ethers';
+import { decodeBase58Check, encodeBase58Check, encodeCashAddress, encodeSegwitAddress } from '@/lib/address';
+
+// SLIP-132 version bytes of account-level extended public keys and the address type
+// each one derives. Ltub/Mtub are the Litecoin variants, dgub Dogecoin's and tpub/upub/vpub
+// the Bitcoin testnet ones; Litecoin, Dogecoin and Bitcoin Cash wallets also export xpub
+// (and ypub/zpub) with the Bitcoin versions.
+const EXTENDED_KEY_TYPES = {
+  xpub: { version: 0x0488b21e, script: 'p2pkh' },
+  ypub: { version: 0x049d7cb2, script: 'p2sh-p2wpkh' },
+  zpub: { version: 0x04b24746, script: 'p2wpkh' },
+  Ltub: { version: 0x019da462, script: 'p2pkh' },
+  Mtub: { version: 0x01b26ef6, script: 'p2sh-p2wpkh' },
+  dgub: { version: 0x02facafd, script: 'p2pkh' },
+  tpub: { version: 0x043587cf, script: 'p2pkh' },
+  upub: { version: 0x044a5262, script: 'p2sh-p2wpkh' },
+  vpub: { version: 0x045f1cf6, script: 'p2wpkh' }
+};
+
+// ethers only parses extended keys with the plain xpub version
+const XPUB_VERSION = EXTENDED_KEY_TYPES.xpub.version;
+
+const hash160 = (data) => ripemd160(sha256(data));
+
+// Parse an extended public key whose prefix is one of `prefixes`.
+// Returns { prefix, script, node } with node an ethers HD node, or null when invalid.
+export function parseExtendedKey(key, prefixes) {
+  const prefix = key?.slice(0, 4);
+  const type = EXTENDED_KEY_TYPES[prefix];
+  if (!type || !prefixes.includes(prefix)) return null;
+
+  const payload = decodeBase58Check(key);
+  if (!payload || payload.length !== 78) return null;
+  if (Buffer.from(payload.slice(0, 4)).readUInt32BE(0) !== type.version) return null;
+
+  const xpub = Uint8Array.from(payload);
+  Buffer.from(xpub.buffer).writeUInt32BE(XPUB_VERSION, 0);
+  try {
+    return { prefix, script: type.script, node: HDNodeWallet.fromExtendedKey(encodeBase58Check(xpub)) };
+  } catch {
+    return null;
+  }
+}
+
+// Address of a derived node's public key in the key's script type, encoded with the
+// network's { p2pkhVersion, p2shVersion, bech32Hrp }, or as a CashAddr on networks with
+// a cashAddrPrefix (Bitcoin Cash)
+export function deriveAddress(node, script, { p2pkhVersion, p2shVersion, bech32Hrp, cashAddrPrefix }) {
+  const keyHash = getBytes(hash160(node.publicKey));
+
+  switch (script) {
+    case 'p2wpkh':
+      return encodeSegwitAddress(bech32Hrp, 0, keyHash);
+    case 'p2sh-p2wpkh': {
+      // Nested segwit pays to the hash of the v0 witness script OP_0 <keyHash>
+      const redeemScript = concat([Uint8Array.of(0x00, 0x14), keyHash]);
+      return encodeBase58Check(Uint8Array.of(p2shVersion, ...getBytes(hash160(redeemScript))));
+    }
+    default:
+      if (cashAddrPrefix) return encodeCashAddress(cashAddrPrefix, 'p2pkh', keyHash);
+      return encodeBase58Check(Uint8Array.of(p2pkhVersion, ...keyHash));
+  }
+}
@@ -0,0 +1,52 @@
+import axios from 'axios';
+
+// Helper for rate-limited requests
+export async function fetchWithRetry(url, config, retries = 5, backoff = 3000) {
+  try {
+    return await axios.get(url, config);
+  } catch (error) {
+    if (retries > 0 && error.response?.status === 429) {
+      console.warn(`Rate limited (429). Retrying in ${backoff}ms...`);
+      await new Promise(resolve => setTimeout(resolve, backoff));
+      return fetchWithRetry(url, config, retries - 1, backoff * 2);
+    }
+    throw error;
+  }
+}
+
+export async function retryRpcCall(fn, retries = 5, delay = 2000) {
+  try {
+    return await fn();
+  } catch (error) {
+    // Check for Alchemy specific error: "state histories haven't been fully indexed yet"
+    // Ethers.js might wrap the error, so we check the message string or nested error objects
+    const errorMessage = error.message || JSON.stringify(error);
+    const isIndexingError = errorMessage.includes("state histories haven't been fully indexed yet") ||
+      (error?.info?.error?.code === -32000) ||
+      (error?.error?.code === -32000);
+
+    if (isIndexingError) {
+      if (retries > 0) {
+        console.warn(`RPC Indexing Error (-32000). Retrying in ${delay}ms... (Retries left: ${retries})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return retryRpcCall(fn, retries - 1, delay * 2);
+      }
+      throw new Error("RPC returned indexing error, please try again later");
+    }
+    throw error;
+  }
+}
+
+// POST counterpart of fetchWithRetry, for JSON-RPC style APIs
+export async function postWithRetry(url, body, config, retries = 5, backoff = 3000) {
+  try {
+    return await axios.post(url, body, config);
+  } catch (error) {
+    if (retries > 0 && error.response?.status === 429) {
+      console.warn(`Rate limited (429). Retrying in ${backoff}ms...`);
+      await new Promise(resolve => setTimeout(resolve, backoff));
+      return postWithRetry(url, body, config, retries - 1, backoff * 2);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,76 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Per-address history ledgers, one JSON file per chain/network/address under LEDGER_DIR
+// (default data/ledger). Chains decide what a ledger holds; this module loads, keeps and
+// saves them, running one update at a time per ledger. Set LEDGER_ENABLED=false to turn
+// persistence off (updates then start from an empty ledger every time).
+const MAX_LOADED_LEDGERS = 50;
+
+const loaded = new Map(); // file path -> { data, queue }
+
+export const isLedgerEnabled = () => process.env.LEDGER_ENABLED !== 'false';
+
+const getLedgerDir = () => path.resolve(process.cwd(), process.env.LEDGER_DIR || 'data/ledger');
+const getLedgerPath = (chain, network, address) => path.join(getLedgerDir(), chain, network, `${address}.json`);
+
+async function readLedger(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`Ignoring unreadable ledger ${filePath}:`, e.message);
+    return {};
+  }
+}
+
+async function writeLedger(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  try {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(data));
+    await fs.rename(tmpPath, filePath);
+  } catch (e) {
+    console.warn(`Failed to write ledger ${filePath}:`, e.message);
+  }
+}
+
+// Forget the least recently loaded ledgers that aren't in use
+function evictLedgers() {
+  for (const [filePath, entry] of loaded) {
+    if (loaded.size <= MAX_LOADED_LEDGERS) break;
+    if (!entry.busy) loaded.delete(filePath);
+  }
+}
+
+// Run update(ledger, save) against the address's ledger and return its result.
+// The update mutates the ledger object; calling save() writes it once the update finishes.
+export async function withLedger(chain, network, address, update) {
+  if (!isLedgerEnabled()) return update({}, () => {});
+
+  const filePath = getLedgerPath(chain, network, address);
+  let entry = loaded.get(filePath);
+  if (!entry) {
+    entry = { data: null, queue: Promise.resolve(), busy: 0 };
+    loaded.set(filePath, entry);
+  }
+
+  // Marked busy before evicting, so a new entry can't be dropped while a concurrent call for
+  // the same ledger would start a second queue writing the same file
+  entry.busy++;
+  evictLedgers();
+  const run = entry.queue.then(async () => {
+    if (!entry.data) entry.data = await readLedger(filePath);
+
+    let changed = false;
+    const result = await update(entry.data, () => { changed = true; });
+    if (changed) await writeLedger(filePath, entry.data);
+    return result;
+  });
+
+  entry.queue = run.catch(() => {});
+  try {
+    return await run;
+  } finally {
+    entry.busy--;
+  }
+}
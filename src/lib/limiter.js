@@ -0,0 +1,49 @@
+// Minimal promise concurrency limiter: at most `concurrency` tasks run at once,
+// the rest wait in FIFO order.
+export function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (fn) => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    next();
+  });
+}
+
+// Keeps one limiter per key (e.g. per upstream provider)
+export function createLimiterPool(limits, defaultLimit = 2) {
+  const limiters = new Map();
+  return (key) => {
+    if (!limiters.has(key)) {
+      limiters.set(key, createLimiter(limits[key] || defaultLimit));
+    }
+    return limiters.get(key);
+  };
+}
+
+// Max in-flight requests per upstream provider
+const PROVIDER_CONCURRENCY = {
+  alchemy: 5,
+  etherscan: 3,
+  'bsc-rpc': 3,
+  tronscan: 2,
+  bitquery: 2,
+  esplora: 3,
+  electrum: 2,
+  'solana-rpc': 3
+};
+
+export const createProviderLimiters = () => createLimiterPool(PROVIDER_CONCURRENCY);
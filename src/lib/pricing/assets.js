@@ -0,0 +1,69 @@
+// Maps chain assets to price asset ids (CoinGecko ids, also used as keys in the
+// file price table). Only mainnet assets are priced.
+
+const NATIVE_ASSETS = {
+  ethereum: 'ethereum',
+  polygon: 'matic-network',
+  bsc: 'binancecoin',
+  arbitrum: 'ethereum',
+  optimism: 'ethereum',
+  base: 'ethereum',
+  avalanche: 'avalanche-2',
+  linea: 'ethereum',
+  tron: 'tron',
+  solana: 'solana',
+  bitcoin: 'bitcoin',
+  litecoin: 'litecoin',
+  dogecoin: 'dogecoin',
+  bitcoincash: 'bitcoin-cash'
+};
+
+// Known tokens by chain and contract/mint address
+const TOKEN_ASSETS = {
+  ethereum: {
+    '0xdac17f958d2ee523a2206206994597c13d831ec7': 'tether',
+    '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': 'usd-coin',
+    '0x6b175474e89094c44da98b954eedeac495271d0f': 'dai',
+    '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': 'weth',
+    '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599': 'wrapped-bitcoin'
+  },
+  polygon: {
+    '0x3c499c542cef5e3811e1192ce70d8cc03d5c3359': 'usd-coin',
+    '0x2791bca1f2de4661ed88a30c99a7a9449aa84174': 'usd-coin',
+    '0xc2132d05d31c914a87c6611c10748aeb04b58e8f': 'tether'
+  },
+  bsc: {
+    '0x55d398326f99059ff775485246999027b3197955': 'tether',
+    '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d': 'usd-coin'
+  },
+  arbitrum: {
+    '0xaf88d065e77c8cc2239327c5edb3a432268e5831': 'usd-coin',
+    '0xfd086bc7cd5c481dcc9c85ebe478a1c0b69fcbb9': 'tether'
+  },
+  optimism: {
+    '0x0b2c639c533813f4aa9d7837caf62653d097ff85': 'usd-coin',
+    '0x94b008aa00579c1307b0ef2c499ad98a8ce58e58': 'tether'
+  },
+  base: {
+    '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913': 'usd-coin'
+  },
+  avalanche: {
+    '0xb97ef9ef8734c71904d8002f8b6bc66dd9c48a6e': 'usd-coin',
+    '0x9702230a8ea53601f5cd2dc00fdbc13d4df4a8c7': 'tether'
+  },
+  tron: {
+    'tr7nhqjekqxgtci8q8zy4pl8otszgjlj6t': 'tether',
+    'tekxitehnzsmse2xqrbj4w32run966rdz8': 'usd-coin'
+  },
+  solana: {
+    'epjfwdd5aufqssqem2qn1xzybapc8g4weggkzwytdt1v': 'usd-coin',
+    'es9vmfrzacermjfrf4h2fyd4kconky11mcce8benwnyb': 'tether'
+  }
+};
+
+// Price asset id for a native coin or known token, or null when it can't be priced
+export function getPriceAssetId(chain, network, tokenAddress) {
+  if (network !== 'mainnet') return null;
+  if (!tokenAddress) return NATIVE_ASSETS[chain] || null;
+  return TOKEN_ASSETS[chain]?.[tokenAddress.toLowerCase()] || null;
+}
@@ -0,0 +1,31 @@
+import { fetchWithRetry } from '@/lib/http';
+
+// Width of the range queried up to the target; CoinGecko returns 5-minute data
+// for ranges under a day
+const RANGE_SECONDS = 6 * 3600;
+
+// Historical prices from CoinGecko's market_chart/range endpoint.
+// Uses COINGECKO_API_KEY as a demo key, or as a pro key when COINGECKO_PRO is set.
+export function createCoinGeckoPriceProvider() {
+  const apiKey = process.env.COINGECKO_API_KEY;
+  const isPro = !!process.env.COINGECKO_PRO;
+  const baseUrl = isPro ? 'https://pro-api.coingecko.com/api/v3' : 'https://api.coingecko.com/api/v3';
+  const headers = apiKey ? { [isPro ? 'x-cg-pro-api-key' : 'x-cg-demo-api-key']: apiKey } : {};
+
+  return {
+    name: 'coingecko',
+    async getPrice({ assetId, currency, timestamp }) {
+      const url = `${baseUrl}/coins/${assetId}/market_chart/range?vs_currency=${currency}&from=${timestamp - RANGE_SECONDS}&to=${timestamp}`;
+      const { data } = await fetchWithRetry(url, { headers });
+      // Only the last price at or before the target; a later one isn't the value at that time
+      const before = (data.prices || [])
+        .map(([ms, price]) => ({ timestamp: Math.floor(ms / 1000), price }))
+        .filter(p => p.timestamp <= timestamp);
+      if (before.length === 0) return null;
+
+      const point = before[before.length - 1];
+
+      return { price: point.price, timestamp: point.timestamp, source: 'coingecko' };
+    }
+  };
+}
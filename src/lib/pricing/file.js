@@ -0,0 +1,68 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { parseCsvObjects } from '@/lib/csv';
+
+// Offline price source backed by a CSV table with columns:
+//   asset,currency,timestamp,price
+// `asset` is a price asset id (e.g. "ethereum", "tether"), `timestamp` is unix
+// seconds or an ISO date. The price used is the latest row at or before the
+// requested timestamp.
+export function createFilePriceProvider(filePath) {
+  const resolvedPath = path.resolve(process.cwd(), filePath);
+  let cache = null;
+
+  const loadTable = async () => {
+    let stat;
+    try {
+      stat = await fs.stat(resolvedPath);
+    } catch {
+      return null; // No table configured
+    }
+
+    // Reload when the file changes
+    if (cache && cache.mtimeMs === stat.mtimeMs) return cache.table;
+
+    const rows = parseCsvObjects(await fs.readFile(resolvedPath, 'utf8'));
+    const table = new Map();
+    for (const row of rows) {
+      const timestamp = /^\d+$/.test(row.timestamp)
+        ? Number(row.timestamp)
+        : Math.floor(new Date(row.timestamp).getTime() / 1000);
+      const price = Number(row.price);
+      if (!row.asset || !row.currency || isNaN(timestamp) || isNaN(price)) continue;
+
+      const key = `${row.asset.toLowerCase()}:${row.currency.toLowerCase()}`;
+      if (!table.has(key)) table.set(key, []);
+      table.get(key).push({ timestamp, price });
+    }
+    for (const entries of table.values()) entries.sort((a, b) => a.timestamp - b.timestamp);
+
+    cache = { mtimeMs: stat.mtimeMs, table };
+    return table;
+  };
+
+  return {
+    name: 'file',
+    async getPrice({ assetId, currency, timestamp }) {
+      const table = await loadTable();
+      const entries = table?.get(`${assetId}:${currency}`);
+      if (!entries) return null;
+
+      // Binary search for the last entry at or before the timestamp
+      let lo = 0;
+      let hi = entries.length - 1;
+      let found = null;
+      while (lo <= hi) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (entries[mid].timestamp <= timestamp) {
+          found = entries[mid];
+          lo = mid + 1;
+        } else {
+          hi = mid - 1;
+        }
+      }
+
+      return found && { price: found.price, timestamp: found.timestamp, source: `file:${path.basename(resolvedPath)}` };
+    }
+  };
+}
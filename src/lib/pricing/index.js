@@ -0,0 +1,86 @@
+import { ethers } from 'ethers';
+import { createFilePriceProvider } from './file';
+import { createCoinGeckoPriceProvider } from './coingecko';
+import { getPriceAssetId } from './assets';
+
+// Price providers implement:
+//   name
+//   getPrice({ assetId, currency, timestamp }) -> { price, timestamp, source } | null
+// They are tried in PRICE_PROVIDERS order (default "file,coingecko") and the first
+// price found wins, so a local table can override or replace the online source.
+const PROVIDER_FACTORIES = {
+  file: () => createFilePriceProvider(process.env.PRICE_TABLE_PATH || 'data/prices.csv'),
+  coingecko: createCoinGeckoPriceProvider
+};
+
+let providers = null;
+
+function getPriceProviders() {
+  if (!providers) {
+    const names = (process.env.PRICE_PROVIDERS || 'file,coingecko').split(',').map(n => n.trim()).filter(Boolean);
+    providers = names.map(name => {
+      const factory = PROVIDER_FACTORIES[name];
+      if (!factory) throw new Error(`Unknown price provider: ${name}`);
+      return factory();
+    });
+  }
+  return providers;
+}
+
+export const isValidCurrency = (currency) => /^[a-z]{3}$/.test(currency);
+export const isDecimalString = (value) => /^\d+(\.\d+)?$/.test(value);
+
+const VALUE_DECIMALS = 2;
+
+// Quoted prices are numbers; JS writes the smallest ones with an exponent
+const toDecimalString = (price) => (/e/i.test(String(price)) ? price.toFixed(20) : String(price));
+const fractionDigits = (value) => (value.split('.')[1] || '').length;
+
+// balance × price rounded half up to cents, in integers so large balances and
+// many-decimal tokens keep every digit. `balance` is the exact decimal string of rawBalance.
+function getFiatValue(balance, price) {
+  const priceText = toDecimalString(price);
+  const scale = fractionDigits(balance) + fractionDigits(priceText);
+  const product = ethers.parseUnits(balance, fractionDigits(balance)) * ethers.parseUnits(priceText, fractionDigits(priceText));
+
+  let cents = product * 10n ** BigInt(Math.max(0, VALUE_DECIMALS - scale));
+  if (scale > VALUE_DECIMALS) {
+    const divisor = 10n ** BigInt(scale - VALUE_DECIMALS);
+    cents = product / divisor + (product % divisor * 2n >= divisor ? 1n : 0n);
+  }
+
+  const [whole, fraction] = ethers.formatUnits(cents, VALUE_DECIMALS).split('.');
+  return `${whole}.${fraction.padEnd(VALUE_DECIMALS, '0')}`;
+}
+
+// Fiat value of a balance (exact decimal string) at the same timestamp the balance was read at.
+// Always returns a fiat block; price/value are null with an error when unpriced.
+export async function getFiatValuation({ chain, network, tokenAddress, balance, timestamp, currency }) {
+  const fiat = { currency, price: null, value: null, priceSource: null, priceTimestamp: null };
+
+  const assetId = getPriceAssetId(chain, network, tokenAddress);
+  if (!assetId) {
+    return { ...fiat, error: network === 'mainnet' ? 'No price source for this asset' : 'Testnet assets are not priced' };
+  }
+
+  const errors = [];
+  for (const provider of getPriceProviders()) {
+    try {
+      const quote = await provider.getPrice({ assetId, currency, timestamp });
+      if (!quote) continue;
+
+      return {
+        ...fiat,
+        price: quote.price,
+        value: getFiatValue(balance, quote.price),
+        priceSource: quote.source,
+        priceTimestamp: quote.timestamp
+      };
+    } catch (e) {
+      console.warn(`Price provider ${provider.name} failed:`, e.response?.data || e.message);
+      errors.push(`${provider.name}: ${e.message}`);
+    }
+  }
+
+  return { ...fiat, error: errors.length > 0 ? `Price lookup failed (${errors.join('; ')})` : `No ${currency.toUpperCase()} price found` };
+}
@@ -0,0 +1,61 @@
+// Walk time-ordered { timestamp, delta } entries once and read the running balance
+// at every target timestamp. Deltas are BigInt base units (sun, satoshis, token units)
+// so balances stay exact. Targets may be in any order.
+export function sampleRunningBalance(entries, targetTimestamps) {
+  const sorted = [...entries].sort((a, b) => a.timestamp - b.timestamp);
+  const order = targetTimestamps.map((_, i) => i).sort((a, b) => targetTimestamps[a] - targetTimestamps[b]);
+  const balances = new Array(targetTimestamps.length);
+
+  let balance = 0n;
+  let next = 0;
+  for (const idx of order) {
+    while (next < sorted.length && sorted[next].timestamp <= targetTimestamps[idx]) {
+      balance += sorted[next].delta;
+      next++;
+    }
+    balances[idx] = balance;
+  }
+
+  return balances;
+}
+
+// Extend running-balance checkpoints with entries newer than the last checkpoint.
+// A checkpoint is [timestamp, total, ...one running sum per category] with amounts as
+// strings so it can be stored as JSON; entries sharing a timestamp make one checkpoint.
+// Returns a new array, leaving `checkpoints` as it was.
+export function appendCheckpoints(checkpoints, entries, categories = []) {
+  const result = [...checkpoints];
+  const last = result.at(-1);
+  const sums = last ? last.slice(1).map(BigInt) : new Array(categories.length + 1).fill(0n);
+
+  for (const { timestamp, delta, category } of [...entries].sort((a, b) => a.timestamp - b.timestamp)) {
+    sums[0] += delta;
+    const column = categories.indexOf(category);
+    if (column >= 0) sums[column + 1] += delta;
+
+    const checkpoint = [timestamp, ...sums.map(String)];
+    if (result.at(-1)?.[0] === timestamp) result[result.length - 1] = checkpoint;
+    else result.push(checkpoint);
+  }
+
+  return result;
+}
+
+// Latest checkpoint at or before the timestamp, or null before the first one
+export function findCheckpoint(checkpoints, timestamp) {
+  let low = 0;
+  let high = checkpoints.length - 1;
+  let found = null;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (checkpoints[mid][0] <= timestamp) {
+      found = checkpoints[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return found;
+}
@@ -0,0 +1,43 @@
+import { runSnapshots } from '@/lib/snapshots';
+
+// In-process timer for the daily snapshots, started from instrumentation.js when the server
+// boots. Every SNAPSHOT_CHECK_MINUTES (default 15) it takes whatever snapshots are due, so
+// days missed while the server was down are caught up on the next check. Set
+// SNAPSHOT_ENABLED=false to turn it off.
+const FIRST_CHECK_DELAY_MS = 30 * 1000;
+
+let timer = null;
+let running = null;
+
+export const isSchedulerEnabled = () => process.env.SNAPSHOT_ENABLED !== 'false';
+const getCheckMinutes = () => Math.max(1, Number(process.env.SNAPSHOT_CHECK_MINUTES) || 15);
+
+// Run the due snapshots now, joining the run already in progress in this process
+export function runSnapshotsNow() {
+  if (!running) {
+    running = runSnapshots().finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+export function startSnapshotScheduler() {
+  if (timer || !isSchedulerEnabled()) return;
+
+  const check = () => runSnapshotsNow()
+    .then(run => {
+      if (run.failed > 0) console.warn(`Snapshots: ${run.failed} of ${run.due} failed`);
+    })
+    .catch(e => console.error('Snapshot run failed:', e));
+
+  // Timers don't keep the process alive on their own
+  setTimeout(check, FIRST_CHECK_DELAY_MS).unref();
+  timer = setInterval(check, getCheckMinutes() * 60 * 1000);
+  timer.unref();
+}
+
+export const getSchedulerStatus = () => ({
+  enabled: isSchedulerEnabled(),
+  checkMinutes: getCheckMinutes()
+});
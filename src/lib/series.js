@@ -0,0 +1,97 @@
+import {
+  resolveBlockNumber,
+  getBlockProvider,
+  getBalanceProvider,
+  getHistoricalBalance,
+  getReplayedBalances,
+  isReplayChain
+} from '@/lib/balance';
+import { createProviderLimiters } from '@/lib/limiter';
+
+export const SERIES_INTERVALS = ['hourly', 'daily', 'weekly', 'monthly'];
+export const MAX_SERIES_POINTS = 400;
+
+const INTERVAL_SECONDS = {
+  hourly: 3600,
+  daily: 86400,
+  weekly: 7 * 86400
+};
+
+// Sample timestamps (seconds) from start to end inclusive. Monthly steps follow
+// calendar months in UTC so month-end series stay aligned.
+export function buildSampleTimestamps(startTs, endTs, interval) {
+  const timestamps = [];
+
+  if (interval === 'monthly') {
+    const start = new Date(startTs * 1000);
+    for (let i = 0; ; i++) {
+      // Clamp the day so a 31st start lands on each month's last day instead of spilling over
+      const daysInMonth = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + i + 1, 0)).getUTCDate();
+      const d = new Date(Date.UTC(
+        start.getUTCFullYear(),
+        start.getUTCMonth() + i,
+        Math.min(start.getUTCDate(), daysInMonth),
+        start.getUTCHours(),
+        start.getUTCMinutes(),
+        start.getUTCSeconds()
+      ));
+      const ts = Math.floor(d.getTime() / 1000);
+      if (ts > endTs || timestamps.length > MAX_SERIES_POINTS) break;
+      timestamps.push(ts);
+    }
+  } else {
+    const step = INTERVAL_SECONDS[interval];
+    for (let ts = startTs; ts <= endTs && timestamps.length <= MAX_SERIES_POINTS; ts += step) {
+      timestamps.push(ts);
+    }
+  }
+
+  return timestamps;
+}
+
+// Balance of one address/token sampled across a period.
+// Replay chains (Tron, Bitquery) compute every point from a single history replay;
+// state chains (EVM) read the balance at each point's block.
+export async function getBalanceSeries({ address, chain, network, tokenAddress, timestamps }) {
+  const limiterFor = createProviderLimiters();
+  const limitBlock = limiterFor(getBlockProvider(chain, network));
+  const blocks = await Promise.all(
+    timestamps.map(ts => limitBlock(() => resolveBlockNumber(chain, network, ts)))
+  );
+  const blockNumbers = blocks.map(b => b.blockNumber);
+  const blockHits = blocks.filter(b => b.cache === 'hit').length;
+
+  if (isReplayChain(chain)) {
+    const replayed = await getReplayedBalances({ address, chain, network, tokenAddress }, timestamps);
+    return {
+      symbol: replayed.symbol,
+      note: replayed.note,
+      ...(replayed.limits && { limits: replayed.limits }),
+      cache: { blockHits, balanceHits: 0 },
+      points: timestamps.map((ts, i) => ({
+        timestamp: ts,
+        blockNumber: blockNumbers[i],
+        balance: replayed.balances[i].balance,
+        rawBalance: replayed.balances[i].rawBalance
+      }))
+    };
+  }
+
+  const limitBalance = limiterFor(getBalanceProvider(chain, network));
+  const results = await Promise.all(timestamps.map((ts, i) => limitBalance(() => getHistoricalBalance(
+    { address, chain, network, tokenAddress, date: new Date(ts * 1000).toISOString(), ts },
+    blockNumbers[i],
+    blocks[i].cache
+  ))));
+
+  return {
+    symbol: results[0]?.symbol,
+    cache: { blockHits, balanceHits: results.filter(r => r.cache.balance === 'hit').length },
+    points: results.map(r => ({
+      timestamp: r.timestamp,
+      blockNumber: r.blockNumber,
+      balance: r.balance,
+      rawBalance: r.rawBalance
+    }))
+  };
+}
@@ -0,0 +1,210 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { findChain } from '@/lib/chains';
+import { getBalanceProvider, getBlockProvider } from '@/lib/balance';
+import { runBalanceBatch, MAX_BATCH_SIZE } from '@/lib/batch';
+import { listWallets } from '@/lib/wallets';
+
+// Daily balance snapshots at 00:00 UTC of the saved wallets (native plus tracked tokens),
+// kept in one JSON file at SNAPSHOT_PATH (default data/snapshots.json) keyed by day, chain,
+// network, address and token. SNAPSHOT_ENTITIES (comma-separated) limits the wallets to some
+// entities. A new wallet is backfilled SNAPSHOT_BACKFILL_DAYS days (default 7); after that
+// every missed day since its first snapshot is taken on the next run, and failed days are
+// retried up to MAX_ATTEMPTS times.
+const FILE_VERSION = 1;
+const DAY_SECONDS = 24 * 3600;
+const MAX_ATTEMPTS = 5;
+
+let store = null; // { filePath, mtimeMs, snapshots: Map, lastRun }
+let writing = Promise.resolve();
+
+const getSnapshotPath = () => path.resolve(process.cwd(), process.env.SNAPSHOT_PATH || 'data/snapshots.json');
+const getBackfillDays = () => Math.max(1, Number(process.env.SNAPSHOT_BACKFILL_DAYS) || 7);
+const getEntities = () => (process.env.SNAPSHOT_ENTITIES || '').split(',').map(e => e.trim()).filter(Boolean);
+
+// EVM hex addresses are case-insensitive; other formats (base58, bech32) are kept as given
+const normalizeAddress = (address) => (
+  address && /^0x/i.test(address) ? address.toLowerCase() : address || null
+);
+
+const toDay = (timestamp) => new Date(timestamp * 1000).toISOString().slice(0, 10);
+const targetKey = ({ chain, network, address, tokenAddress }) => (
+  `${chain}:${network}:${normalizeAddress(address)}:${normalizeAddress(tokenAddress) || 'native'}`
+);
+const snapshotKey = (target, timestamp) => `${toDay(timestamp)}:${targetKey(target)}`;
+
+// The scheduler and the API routes may run in separate module instances, so the file is
+// re-read whenever another one has rewritten it
+async function loadStore() {
+  const filePath = getSnapshotPath();
+  let mtimeMs = null;
+  try {
+    mtimeMs = (await fs.stat(filePath)).mtimeMs;
+  } catch {
+    // No snapshots yet
+  }
+  if (store?.filePath === filePath && store.mtimeMs === mtimeMs) return store;
+
+  let data = {};
+  if (mtimeMs !== null) {
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (e) {
+      console.warn(`Ignoring unreadable snapshots ${filePath}:`, e.message);
+    }
+  }
+
+  const valid = data.version === FILE_VERSION;
+  store = {
+    filePath,
+    mtimeMs,
+    snapshots: new Map(valid ? Object.entries(data.snapshots || {}) : []),
+    lastRun: valid ? data.lastRun || null : null
+  };
+  return store;
+}
+
+// Apply update(store) to the freshly loaded store and write it, one change at a time
+function updateStore(update) {
+  const run = writing.then(async () => {
+    const current = await loadStore();
+    update(current);
+
+    const tmpPath = `${current.filePath}.tmp`;
+    await fs.mkdir(path.dirname(current.filePath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify({
+      version: FILE_VERSION,
+      lastRun: current.lastRun,
+      snapshots: Object.fromEntries(current.snapshots)
+    }));
+    await fs.rename(tmpPath, current.filePath);
+    current.mtimeMs = (await fs.stat(current.filePath)).mtimeMs;
+  });
+  writing = run.catch(() => {});
+  return run;
+}
+
+// (wallet, token) pairs to snapshot
+async function getTargets() {
+  const entities = getEntities();
+  const wallets = (await listWallets()).filter(wallet => entities.length === 0 || entities.includes(wallet.entity));
+  return wallets.flatMap(wallet => [null, ...wallet.tokens].map(tokenAddress => ({
+    walletId: wallet.id,
+    label: wallet.label,
+    entity: wallet.entity,
+    chain: wallet.chain,
+    network: wallet.network,
+    address: wallet.address,
+    tokenAddress
+  })));
+}
+
+// Midnights without a successful snapshot, newest first so a backlog of old days never holds
+// up today's. A day is due once it is older than the chain's finality window, so the stored
+// block and balance won't change afterwards; failed days stop being retried after MAX_ATTEMPTS.
+function getDueSnapshots(targets, snapshots, now) {
+  const today = Math.floor(now / DAY_SECONDS) * DAY_SECONDS;
+  const backfillStart = today - (getBackfillDays() - 1) * DAY_SECONDS;
+
+  const firstDays = new Map();
+  for (const snapshot of snapshots.values()) {
+    const key = targetKey(snapshot);
+    firstDays.set(key, Math.min(firstDays.get(key) ?? Infinity, snapshot.timestamp));
+  }
+
+  const due = [];
+  for (const target of targets) {
+    const adapter = findChain(target.chain);
+    if (!adapter) continue;
+
+    const start = Math.min(firstDays.get(targetKey(target)) ?? Infinity, backfillStart);
+    for (let ts = start; ts <= today && now - ts > adapter.finalitySeconds; ts += DAY_SECONDS) {
+      const previous = snapshots.get(snapshotKey(target, ts));
+      if (!previous || (previous.status === 'failed' && (previous.attempts || 1) < MAX_ATTEMPTS)) {
+        due.push({ ...target, ts, attempts: (previous?.attempts || 0) + 1 });
+      }
+    }
+  }
+
+  return due.sort((a, b) => b.ts - a.ts).slice(0, MAX_BATCH_SIZE);
+}
+
+// Take every due snapshot through the batch lookup (one block per chain and day) and store
+// the results, failures included. Returns the run summary, also kept as `lastRun`.
+export async function runSnapshots(now = Math.floor(Date.now() / 1000)) {
+  const startedAt = now;
+  const { snapshots } = await loadStore();
+  const due = getDueSnapshots(await getTargets(), snapshots, now);
+
+  const { results } = due.length > 0
+    ? await runBalanceBatch(due.map(({ address, chain, network, tokenAddress, ts }) => ({
+      address,
+      chain,
+      network,
+      tokenAddress: tokenAddress || undefined,
+      date: new Date(ts * 1000).toISOString()
+    })))
+    : { results: [] };
+
+  const takenAt = Math.floor(Date.now() / 1000);
+  const records = due.map((target, i) => {
+    const result = results[i];
+    const { ts, attempts, ...fields } = target;
+    return {
+      ...fields,
+      day: toDay(ts),
+      timestamp: ts,
+      status: result.ok ? 'ok' : 'failed',
+      takenAt,
+      ...(!result.ok && { attempts }),
+      blockProvider: getBlockProvider(target.chain, target.network),
+      // Chains with several backends (UTXO) name the one that served the balance
+      balanceProvider: (result.ok && result.provider) || getBalanceProvider(target.chain, target.network),
+      ...(result.ok
+        ? {
+          blockNumber: result.blockNumber,
+          balance: result.balance,
+          rawBalance: result.rawBalance,
+          symbol: result.symbol,
+          ...(result.note && { note: result.note })
+        }
+        : { error: result.error })
+    };
+  });
+
+  const lastRun = {
+    startedAt,
+    finishedAt: takenAt,
+    due: due.length,
+    succeeded: records.filter(r => r.status === 'ok').length,
+    failed: records.filter(r => r.status === 'failed').length
+  };
+
+  await updateStore(current => {
+    for (const record of records) current.snapshots.set(snapshotKey(record, record.timestamp), record);
+    current.lastRun = lastRun;
+  });
+
+  return lastRun;
+}
+
+// Stored snapshots matching every given filter, oldest first. `from` and `to` are seconds.
+export async function listSnapshots({ walletId, entity, chain, network, address, tokenAddress, from, to } = {}) {
+  const { snapshots, lastRun } = await loadStore();
+
+  const matches = [...snapshots.values()].filter(snapshot => (
+    (!walletId || snapshot.walletId === walletId)
+    && (!entity || snapshot.entity === entity)
+    && (!chain || snapshot.chain === chain)
+    && (!network || snapshot.network === network)
+    && (!address || normalizeAddress(snapshot.address) === normalizeAddress(address))
+    && (!tokenAddress || (normalizeAddress(snapshot.tokenAddress) || 'native') === normalizeAddress(tokenAddress))
+    && (from === undefined || snapshot.timestamp >= from)
+    && (to === undefined || snapshot.timestamp <= to)
+  ));
+
+  return {
+    snapshots: matches.sort((a, b) => a.timestamp - b.timestamp || a.label.localeCompare(b.label)),
+    lastRun
+  };
+}
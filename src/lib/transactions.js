@@ -0,0 +1,167 @@
+import { ethers } from 'ethers';
+import { getChain } from '@/lib/chains';
+import { getHistoricalBalance, resolveBlockNumber, validateLookupTarget } from '@/lib/balance';
+
+// Validate a ledger or report request body ({ address, chain, network, tokenAddress,
+// startDate, endDate }) into params. Returns { error } for bad input.
+export function parseLedgerRequest(body) {
+  let { address, chain = 'ethereum', network = 'mainnet', tokenAddress, startDate, endDate } = body || {};
+
+  if (!address || !startDate || !endDate) {
+    return { error: 'Address, Start Date and End Date are required' };
+  }
+
+  // Clean inputs
+  address = String(address).trim();
+  if (tokenAddress) tokenAddress = String(tokenAddress).trim();
+
+  const error = validateLookupTarget({ address, chain, network, tokenAddress, movements: true });
+  if (error) {
+    return { error };
+  }
+
+  const startTs = Math.floor(new Date(startDate).getTime() / 1000);
+  const endTs = Math.floor(new Date(endDate).getTime() / 1000);
+
+  if (isNaN(startTs) || isNaN(endTs)) {
+    return { error: 'Invalid Date' };
+  }
+
+  if (startTs >= endTs) {
+    return { error: 'Start Date must be before End Date' };
+  }
+
+  return { params: { address, chain, network, tokenAddress, startTs, endTs } };
+}
+
+// Signed effect of a movement on the balance: the amount moved, less any fee the address paid
+const getDelta = ({ direction, amount, fee }) => (
+  (direction === 'in' ? amount : direction === 'out' ? -amount : 0n) - (fee ?? 0n)
+);
+
+// Movements of the address (or token) between two blocks/timestamps, dropping the ones that
+// leave the balance unchanged, oldest first
+async function getSortedMovements(adapter, { address, network, tokenAddress, startTs, endTs }, startBlock, endBlock) {
+  const { movements, ...listing } = await adapter.getMovements({
+    address,
+    network,
+    tokenAddress,
+    startTs,
+    endTs,
+    startBlock: Number(startBlock),
+    endBlock: Number(endBlock)
+  });
+
+  return {
+    ...listing,
+    movements: movements
+      .filter(movement => movement.amount !== 0n || (movement.fee ?? 0n) !== 0n)
+      .sort((a, b) => a.timestamp - b.timestamp || (a.blockNumber ?? 0) - (b.blockNumber ?? 0))
+  };
+}
+
+// Limits of the balance lookups and the movement listing, each listing reported once
+const mergeLimits = (...lists) => lists.flat()
+  .filter((limit, i, list) => list.findIndex(l => l.listing === limit.listing) === i);
+
+const balanceAt = (params, ts) => getHistoricalBalance({ ...params, ts, date: new Date(ts * 1000).toISOString() });
+
+// Every balance-affecting movement of the address (or token) in (startTs, endTs] (seconds),
+// oldest first, with the running balance after each one. The opening balance is the
+// historical balance at startTs; the closing balance is where the movements lead from it.
+export async function getTransactionLedger({ address, chain, network, tokenAddress, startTs, endTs }) {
+  const adapter = getChain(chain);
+  const params = { address, chain, network, tokenAddress };
+
+  const [opening, { blockNumber: endBlock }] = await Promise.all([
+    balanceAt(params, startTs),
+    resolveBlockNumber(chain, network, endTs)
+  ]);
+
+  const { symbol, decimals, movements, note, limits = [] } = await getSortedMovements(adapter, { ...params, startTs, endTs }, opening.blockNumber, endBlock);
+
+  const format = (value) => ethers.formatUnits(value, decimals);
+  let balance = BigInt(opening.rawBalance);
+  const rows = movements.map(({ amount, fee, ...movement }) => {
+    balance += getDelta({ ...movement, amount, fee });
+    return {
+      ...movement,
+      amount: format(amount),
+      rawAmount: amount.toString(),
+      fee: fee === null ? null : format(fee),
+      rawFee: fee === null ? null : fee.toString(),
+      balance: format(balance),
+      rawBalance: balance.toString()
+    };
+  });
+
+  const allLimits = mergeLimits(opening.limits || [], limits);
+
+  return {
+    chain,
+    network,
+    address,
+    tokenAddress,
+    startTimestamp: startTs,
+    endTimestamp: endTs,
+    startBlock: opening.blockNumber,
+    endBlock,
+    symbol,
+    decimals,
+    opening: { balance: format(BigInt(opening.rawBalance)), rawBalance: opening.rawBalance },
+    closing: { balance: format(balance), rawBalance: balance.toString() },
+    movements: rows,
+    ...(note && { note }),
+    ...(allLimits.length > 0 && { limits: allLimits })
+  };
+}
+
+// Roll-forward of the address (or token) over (startTs, endTs]: the historical balances at both
+// ends, what came in, went out and was paid in fees in between, and the unexplained difference
+// closing - (opening + inflows - outflows - fees), which is zero when the listing is complete.
+// Self-transfers only count their fee.
+export async function getPeriodReport({ address, chain, network, tokenAddress, startTs, endTs }) {
+  const adapter = getChain(chain);
+  const params = { address, chain, network, tokenAddress };
+
+  const [opening, closing] = await Promise.all([balanceAt(params, startTs), balanceAt(params, endTs)]);
+  const { symbol, decimals, movements, note, limits = [] } = await getSortedMovements(adapter, { ...params, startTs, endTs }, opening.blockNumber, closing.blockNumber);
+
+  const totals = { inflows: 0n, outflows: 0n, fees: 0n };
+  for (const { direction, amount, fee } of movements) {
+    if (direction === 'in') totals.inflows += amount;
+    if (direction === 'out') totals.outflows += amount;
+    totals.fees += fee ?? 0n;
+  }
+
+  const openingRaw = BigInt(opening.rawBalance);
+  const closingRaw = BigInt(closing.rawBalance);
+  const unexplained = closingRaw - (openingRaw + totals.inflows - totals.outflows - totals.fees);
+
+  const format = (value) => ethers.formatUnits(value, decimals);
+  const amount = (value) => ({ amount: format(value), rawAmount: value.toString() });
+  const allLimits = mergeLimits(opening.limits || [], closing.limits || [], limits);
+
+  return {
+    chain,
+    network,
+    address,
+    tokenAddress,
+    startTimestamp: startTs,
+    endTimestamp: endTs,
+    startBlock: opening.blockNumber,
+    endBlock: closing.blockNumber,
+    symbol,
+    decimals,
+    opening: { balance: format(openingRaw), rawBalance: opening.rawBalance },
+    inflows: amount(totals.inflows),
+    outflows: amount(totals.outflows),
+    fees: amount(totals.fees),
+    closing: { balance: format(closingRaw), rawBalance: closing.rawBalance },
+    netChange: amount(closingRaw - openingRaw),
+    unexplained: amount(unexplained),
+    movementCount: movements.length,
+    ...(note && { note }),
+    ...(allLimits.length > 0 && { limits: allLimits })
+  };
+}
@@ -0,0 +1,42 @@
+// Per-token statistics over a list of normalised token transfers:
+//   { tokenAddress, from, to, value, symbol, name, decimals }
+// Addresses are compared case-insensitively. Returns a Map keyed by the token
+// address as first seen in the transfers.
+export function summarizeTokenTransfers(transfers, address) {
+  const owner = address.toLowerCase();
+  const stats = new Map();
+
+  for (const transfer of transfers) {
+    const key = transfer.tokenAddress.toLowerCase();
+    if (!stats.has(key)) {
+      stats.set(key, {
+        tokenAddress: transfer.tokenAddress,
+        symbol: transfer.symbol || null,
+        name: transfer.name || null,
+        decimals: transfer.decimals ?? null,
+        transferCount: 0,
+        incomingCount: 0,
+        outgoingCount: 0,
+        zeroValueCount: 0,
+        netAmount: 0n
+      });
+    }
+
+    const entry = stats.get(key);
+    const value = BigInt(transfer.value || 0);
+    entry.transferCount++;
+    if (value === 0n) entry.zeroValueCount++;
+
+    // Self-transfers count both ways and net to zero
+    if (transfer.to?.toLowerCase() === owner) {
+      entry.incomingCount++;
+      entry.netAmount += value;
+    }
+    if (transfer.from?.toLowerCase() === owner) {
+      entry.outgoingCount++;
+      entry.netAmount -= value;
+    }
+  }
+
+  return new Map([...stats.values()].map(entry => [entry.tokenAddress, entry]));
+}
@@ -0,0 +1,181 @@
+import axios from 'axios';
+import { ethers } from 'ethers';
+import { spentBy } from './common';
+
+const BITQUERY_ENDPOINT = 'https://graphql.bitquery.io';
+const BITQUERY_ROW_LIMIT = 10000;
+const UTXO_DECIMALS = 8;
+
+// Bitquery reports output values as BTC/LTC floats; each has at most 8 decimals,
+// so rounding to 8 places recovers the exact satoshi amount
+const toSatoshis = (value) => ethers.parseUnits(Number(value).toFixed(UTXO_DECIMALS), UTXO_DECIMALS);
+
+// Helper to determine Bitquery headers
+function getBitqueryHeaders(apiKey) {
+  const headers = {
+    'Content-Type': 'application/json'
+  };
+
+  // Check for V2 OAuth token (starts with 'ory_' or 'Bearer ')
+  if (apiKey.startsWith('ory_') || apiKey.startsWith('Bearer ')) {
+    headers['Authorization'] = apiKey.startsWith('Bearer ') ? apiKey : `Bearer ${apiKey}`;
+  } else {
+    // Default to V1 API Key
+    headers['X-API-KEY'] = apiKey;
+  }
+  return headers;
+}
+
+async function queryBitquery(query, variables) {
+  const apiKey = process.env.BITQUERY_ACCESS_TOKEN;
+
+  if (!apiKey) throw new Error('BITQUERY_ACCESS_TOKEN is missing');
+
+  const { data } = await axios.post(
+    BITQUERY_ENDPOINT,
+    { query, variables },
+    { headers: getBitqueryHeaders(apiKey) }
+  );
+
+  if (data.errors) {
+    throw new Error(`Bitquery Error: ${JSON.stringify(data.errors)}`);
+  }
+
+  return data.data;
+}
+
+async function getBitqueryBlockNumberByTimestamp(bitqueryNetwork, timestamp) {
+  const query = `
+    query ($network: BitcoinNetwork!, $time: ISO8601DateTime!) {
+      bitcoin(network: $network) {
+        blocks(options: {limit: 1, desc: "height"}, time: {till: $time}) {
+          height
+          timestamp {
+            iso8601
+          }
+        }
+      }
+    }
+  `;
+
+  try {
+    const data = await queryBitquery(query, {
+      network: bitqueryNetwork,
+      time: new Date(timestamp * 1000).toISOString()
+    });
+
+    const blocks = data?.bitcoin?.blocks;
+    if (!blocks || blocks.length === 0) {
+      throw new Error(`No ${bitqueryNetwork} block found for this timestamp`);
+    }
+
+    return blocks[0].height;
+  } catch (e) {
+    console.error(`Error fetching ${bitqueryNetwork} block number:`, e.response?.data || e.message);
+    throw e;
+  }
+}
+
+// Outputs the given addresses received up to `till` (seconds), marked spent when an input up
+// to `till` spends them, from a single Bitquery query.
+// Returns { outputsByAddress, limits }; limits lists result sets cut off at BITQUERY_ROW_LIMIT.
+async function getBitqueryAddressOutputs(bitqueryNetwork, addresses, till) {
+  const query = `
+    query ($network: BitcoinNetwork!, $addresses: [String!], $time: ISO8601DateTime!) {
+      bitcoin(network: $network) {
+        outputs(
+          date: {till: $time}
+          outputAddress: {in: $addresses}
+          options: {limit: ${BITQUERY_ROW_LIMIT}}
+        ) {
+          value
+          outputIndex
+          outputAddress {
+            address
+          }
+          transaction {
+            hash
+          }
+          block {
+            height
+            timestamp {
+              unixtime
+            }
+          }
+        }
+        inputs(
+          date: {till: $time}
+          inputAddress: {in: $addresses}
+          options: {limit: ${BITQUERY_ROW_LIMIT}}
+        ) {
+          outputTransaction {
+            hash
+          }
+          outputIndex
+          transaction {
+            hash
+          }
+          block {
+            height
+            timestamp {
+              unixtime
+            }
+          }
+        }
+      }
+    }
+  `;
+
+  try {
+    const data = await queryBitquery(query, {
+      network: bitqueryNetwork,
+      addresses,
+      time: new Date(till * 1000).toISOString()
+    });
+
+    const outputs = data?.bitcoin?.outputs || [];
+    const inputs = data?.bitcoin?.inputs || [];
+
+    const spends = new Map(inputs.map(inp => [
+      `${inp.outputTransaction?.hash}:${inp.outputIndex}`,
+      { timestamp: inp.block?.timestamp?.unixtime ?? 0, txid: inp.transaction?.hash, blockHeight: inp.block?.height ?? null }
+    ]));
+
+    const outputsByAddress = new Map();
+    for (const out of outputs) {
+      // A single-address query may come back without the address field
+      const address = out.outputAddress?.address || addresses[0];
+      const txid = out.transaction?.hash;
+      if (!outputsByAddress.has(address)) outputsByAddress.set(address, []);
+      outputsByAddress.get(address).push({
+        txid,
+        vout: out.outputIndex,
+        value: toSatoshis(out.value),
+        blockHeight: out.block?.height ?? null,
+        timestamp: out.block?.timestamp?.unixtime ?? 0,
+        ...spentBy(spends.get(`${txid}:${out.outputIndex}`))
+      });
+    }
+
+    const limits = [['outputs', outputs], ['inputs', inputs]]
+      .filter(([, rows]) => rows.length >= BITQUERY_ROW_LIMIT)
+      .map(([listing, rows]) => ({ listing, fetched: rows.length, reason: `Bitquery returns at most ${BITQUERY_ROW_LIMIT} ${listing}; the balance is incomplete` }));
+
+    return { outputsByAddress, limits };
+
+  } catch (e) {
+    console.error(`Error fetching ${bitqueryNetwork} balance:`, e.response?.data || e.message);
+    throw e;
+  }
+}
+
+// Bitquery's hosted bitcoin-schema GraphQL API. Needs BITQUERY_ACCESS_TOKEN and returns
+// at most BITQUERY_ROW_LIMIT inputs and outputs per query.
+export function createBitqueryBackend(bitqueryNetwork) {
+  return {
+    name: 'bitquery',
+    label: 'Bitquery (Sum Inputs/Outputs)',
+    getBlockNumberByTimestamp: (timestamp) => getBitqueryBlockNumberByTimestamp(bitqueryNetwork, timestamp),
+    getAddressOutputs: (addresses, till) => getBitqueryAddressOutputs(bitqueryNetwork, addresses, till)
+  };
+}
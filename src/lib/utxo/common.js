@@ -0,0 +1,23 @@
+// Last block whose header time is at or before `timestamp`, by binary search over heights.
+// Header times are only roughly ordered, as on every block explorer.
+export async function findBlockByTimestamp(getBlockTime, tipHeight, timestamp) {
+  if (await getBlockTime(tipHeight) <= timestamp) return tipHeight;
+  if (await getBlockTime(0) > timestamp) throw new Error('No block found before this timestamp');
+
+  let low = 0;
+  let high = tipHeight;
+  while (high - low > 1) {
+    const mid = Math.floor((low + high) / 2);
+    if (await getBlockTime(mid) <= timestamp) low = mid;
+    else high = mid;
+  }
+  return low;
+}
+
+// Spending fields of an output from the { timestamp, txid, blockHeight } of the transaction
+// that spent it, all null while unspent
+export const spentBy = (spend) => ({
+  spentTimestamp: spend?.timestamp ?? null,
+  spentTxid: spend?.txid ?? null,
+  spentBlockHeight: spend?.blockHeight ?? null
+});
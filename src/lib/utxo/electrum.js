@@ -0,0 +1,249 @@
+import net from 'net';
+import tls from 'tls';
+import { sha256 } from 'ethers';
+import { decodeBase58Check, decodeCashAddress, decodeSegwitAddress } from '@/lib/address';
+import { createLimiter } from '@/lib/limiter';
+import { findBlockByTimestamp, spentBy } from './common';
+
+const REQUEST_TIMEOUT_MS = 30000;
+// Requests in flight per connection; servers throttle or drop clients that pipeline more
+const MAX_IN_FLIGHT = 10;
+const CLIENT_NAME = 'wallet-balance-tracking';
+const PROTOCOL_VERSION = '1.4';
+
+// `${url}:${height}` -> block timestamp, shared across connections
+const blockTimes = new Map();
+
+// One connection to an Electrum server, tcp://host:port or ssl://host:port (tls:// also works).
+// Requests are newline-delimited JSON-RPC, pipelined up to MAX_IN_FLIGHT at a time.
+function connectElectrum(url) {
+  const { protocol, hostname, port } = new URL(url);
+  const secure = protocol === 'ssl:' || protocol === 'tls:';
+  const socket = secure
+    ? tls.connect({ host: hostname, port: Number(port), servername: hostname })
+    : net.connect({ host: hostname, port: Number(port) });
+
+  const pending = new Map();
+  const limit = createLimiter(MAX_IN_FLIGHT);
+  let nextId = 0;
+  let closed = null;
+  let buffer = '';
+
+  const failAll = (error) => {
+    for (const { reject, timer } of pending.values()) {
+      clearTimeout(timer);
+      reject(error);
+    }
+    pending.clear();
+  };
+
+  const connected = new Promise((resolve, reject) => {
+    socket.once(secure ? 'secureConnect' : 'connect', resolve);
+    socket.once('error', reject);
+  });
+
+  socket.setEncoding('utf8');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    for (let end = buffer.indexOf('\n'); end >= 0; end = buffer.indexOf('\n')) {
+      const line = buffer.slice(0, end).trim();
+      buffer = buffer.slice(end + 1);
+      if (!line) continue;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch {
+        // The stream can't be resynchronised, so give up on the connection
+        failAll(new Error(`Electrum sent malformed JSON: ${line.slice(0, 100)}`));
+        socket.destroy();
+        return;
+      }
+      const request = pending.get(message.id);
+      if (!request) continue; // subscription notifications
+
+      pending.delete(message.id);
+      clearTimeout(request.timer);
+      if (message.error) request.reject(new Error(`Electrum ${request.method} failed: ${message.error.message || JSON.stringify(message.error)}`));
+      else request.resolve(message.result);
+    }
+  });
+  socket.on('error', failAll);
+  socket.on('close', () => {
+    closed = new Error('Electrum connection closed');
+    failAll(closed);
+  });
+
+  const request = (method, params = []) => limit(async () => {
+    await connected;
+    if (closed) throw closed;
+    return new Promise((resolve, reject) => {
+      const id = ++nextId;
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`Electrum ${method} timed out`));
+      }, REQUEST_TIMEOUT_MS);
+      pending.set(id, { method, resolve, reject, timer });
+      socket.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`);
+    });
+  });
+
+  return { request, close: () => socket.destroy() };
+}
+
+// Run fn(request) on a fresh connection that is closed afterwards
+async function withElectrum(url, fn) {
+  const client = connectElectrum(url);
+  try {
+    await client.request('server.version', [CLIENT_NAME, PROTOCOL_VERSION]);
+    return await fn(client.request);
+  } catch (e) {
+    console.error(`Electrum error (${url}):`, e.message);
+    throw e;
+  } finally {
+    client.close();
+  }
+}
+
+// Inputs (spent outpoints) and outputs (value, script) of a raw transaction.
+// Witness data and the lock time aren't needed, so parsing stops after the outputs.
+function parseTransaction(hex) {
+  const bytes = Buffer.from(hex, 'hex');
+  let pos = 4; // version
+
+  const readVarInt = () => {
+    const first = bytes[pos++];
+    if (first < 0xfd) return first;
+    const size = first === 0xfd ? 2 : first === 0xfe ? 4 : 8;
+    const value = Number(bytes.readUIntLE(pos, Math.min(size, 6)));
+    pos += size;
+    return value;
+  };
+
+  // Segwit marker and flag
+  if (bytes[pos] === 0 && bytes[pos + 1] !== 0) pos += 2;
+
+  const inputs = [];
+  for (let count = readVarInt(); count > 0; count--) {
+    const txid = Buffer.from(bytes.subarray(pos, pos + 32)).reverse().toString('hex');
+    const vout = bytes.readUInt32LE(pos + 32);
+    pos += 36;
+    const scriptLength = readVarInt();
+    pos += scriptLength + 4; // script, sequence
+    inputs.push({ txid, vout });
+  }
+
+  const outputs = [];
+  for (let count = readVarInt(); count > 0; count--) {
+    const value = bytes.readBigUInt64LE(pos);
+    pos += 8;
+    const length = readVarInt();
+    outputs.push({ value, script: bytes.subarray(pos, pos + length).toString('hex') });
+    pos += length;
+  }
+
+  return { inputs, outputs };
+}
+
+const p2pkhScript = (hash) => `76a914${hash}88ac`;
+const p2shScript = (hash) => `a914${hash}87`;
+
+// Output script an address pays to, hex encoded
+function getOutputScript(address, { p2pkhVersion, bech32Hrp, cashAddrPrefix }) {
+  const cashAddr = cashAddrPrefix && decodeCashAddress(address, cashAddrPrefix);
+  if (cashAddr) {
+    const hash = Buffer.from(cashAddr.hash).toString('hex');
+    return cashAddr.type === 'p2pkh' ? p2pkhScript(hash) : p2shScript(hash);
+  }
+
+  const segwit = bech32Hrp && decodeSegwitAddress(address, bech32Hrp);
+  if (segwit) {
+    const { witnessVersion, program } = segwit;
+    const versionOp = witnessVersion === 0 ? 0x00 : 0x50 + witnessVersion;
+    return Buffer.from([versionOp, program.length, ...program]).toString('hex');
+  }
+
+  const payload = decodeBase58Check(address);
+  if (!payload || payload.length !== 21) throw new Error(`Unsupported address: ${address}`);
+  const hash = Buffer.from(payload.slice(1)).toString('hex');
+  return payload[0] === p2pkhVersion ? p2pkhScript(hash) : p2shScript(hash);
+}
+
+// Electrum indexes scripts by their reversed SHA-256
+const getScriptHash = (script) => Buffer.from(sha256(`0x${script}`).slice(2), 'hex').reverse().toString('hex');
+
+// Electrum protocol server (electrs, Fulcrum, ElectrumX), typically next to your own node.
+// networkConfig supplies p2pkhVersion, bech32Hrp and cashAddrPrefix to turn addresses into scripts.
+export function createElectrumBackend(url, networkConfig) {
+  const getBlockTime = async (request, height) => {
+    const key = `${url}:${height}`;
+    if (!blockTimes.has(key)) {
+      // The header's time field is a little-endian uint32 at byte 68
+      const header = Buffer.from(await request('blockchain.block.header', [height]), 'hex');
+      blockTimes.set(key, header.readUInt32LE(68));
+    }
+    return blockTimes.get(key);
+  };
+
+  const getBlockNumberByTimestamp = (timestamp) => withElectrum(url, async (request) => {
+    const { height } = await request('blockchain.headers.subscribe');
+    return findBlockByTimestamp(h => getBlockTime(request, h), height, timestamp);
+  });
+
+  // Outputs paid to the address in confirmed transactions up to `till`, with the transaction
+  // spending each one (null while unspent at `till`)
+  const getAddressHistory = async (request, address, till) => {
+    const script = getOutputScript(address, networkConfig);
+    const history = (await request('blockchain.scripthash.get_history', [getScriptHash(script)]))
+      .filter(entry => entry.height > 0);
+
+    const transactions = await Promise.all(history.map(async ({ tx_hash: txid, height }) => ({
+      txid,
+      blockHeight: height,
+      timestamp: await getBlockTime(request, height),
+      ...parseTransaction(await request('blockchain.transaction.get', [txid]))
+    })));
+    const confirmed = transactions.filter(tx => tx.timestamp <= till);
+
+    // The history holds every transaction paying to or spending from the address
+    const spends = new Map();
+    for (const tx of confirmed) {
+      for (const inp of tx.inputs) spends.set(`${inp.txid}:${inp.vout}`, tx);
+    }
+
+    return confirmed.flatMap(tx => tx.outputs
+      .map((out, vout) => ({ ...out, vout }))
+      .filter(out => out.script === script)
+      .map(({ value, vout }) => ({
+        txid: tx.txid,
+        vout,
+        value,
+        blockHeight: tx.blockHeight,
+        timestamp: tx.timestamp,
+        ...spentBy(spends.get(`${tx.txid}:${vout}`))
+      })));
+  };
+
+  const getAddressOutputs = (addresses, till) => withElectrum(url, async (request) => {
+    const outputsByAddress = new Map();
+    for (const address of addresses) {
+      const outputs = await getAddressHistory(request, address, till);
+      if (outputs.length > 0) outputsByAddress.set(address, outputs);
+    }
+    return { outputsByAddress, limits: [] };
+  });
+
+  const getCurrentBalance = (address) => withElectrum(url, async (request) => {
+    const script = getOutputScript(address, networkConfig);
+    const { confirmed } = await request('blockchain.scripthash.get_balance', [getScriptHash(script)]);
+    return { rawBalance: String(confirmed), source: 'Electrum confirmed balance' };
+  });
+
+  return {
+    name: 'electrum',
+    label: 'Electrum transaction history',
+    getBlockNumberByTimestamp,
+    getAddressOutputs,
+    getCurrentBalance
+  };
+}
@@ -0,0 +1,86 @@
+import { fetchWithRetry } from '@/lib/http';
+import { findBlockByTimestamp, spentBy } from './common';
+
+// Esplora returns confirmed address history newest first, this many transactions per page
+const ESPLORA_PAGE_SIZE = 25;
+
+// height -> block timestamp, per API, shared across requests (confirmed headers don't change)
+const blockTimes = new Map();
+
+// Esplora REST API (Blockstream's electrs, mempool.space, or a self-hosted instance).
+// Balances come from the full confirmed transaction history, so there is no row limit.
+export function createEsploraBackend(baseUrl) {
+  const get = async (path) => (await fetchWithRetry(`${baseUrl}${path}`)).data;
+
+  const getBlockTime = async (height) => {
+    const key = `${baseUrl}:${height}`;
+    if (!blockTimes.has(key)) {
+      const hash = await get(`/block-height/${height}`);
+      blockTimes.set(key, (await get(`/block/${hash}`)).timestamp);
+    }
+    return blockTimes.get(key);
+  };
+
+  const getBlockNumberByTimestamp = async (timestamp) => (
+    findBlockByTimestamp(getBlockTime, Number(await get('/blocks/tip/height')), timestamp)
+  );
+
+  // Outputs paid to the address in confirmed transactions up to `till`, with the transaction
+  // spending each one, and the fee of every transaction spending from the address
+  const getAddressHistory = async (address, till, fees) => {
+    const outputs = [];
+    const spends = new Map();
+
+    for (let lastTxid = null; ;) {
+      const page = await get(`/address/${address}/txs/chain${lastTxid ? `/${lastTxid}` : ''}`);
+
+      for (const tx of page) {
+        const { confirmed, block_time: timestamp, block_height: blockHeight } = tx.status || {};
+        if (!confirmed || timestamp > till) continue;
+
+        tx.vout.forEach((out, vout) => {
+          if (out.scriptpubkey_address === address) {
+            outputs.push({ txid: tx.txid, vout, value: BigInt(out.value), blockHeight, timestamp });
+          }
+        });
+        for (const inp of tx.vin) {
+          if (inp.prevout?.scriptpubkey_address !== address) continue;
+          spends.set(`${inp.txid}:${inp.vout}`, { timestamp, txid: tx.txid, blockHeight });
+          fees.set(tx.txid, BigInt(tx.fee || 0));
+        }
+      }
+
+      if (page.length < ESPLORA_PAGE_SIZE) break;
+      lastTxid = page[page.length - 1].txid;
+    }
+
+    return outputs.map(out => ({ ...out, ...spentBy(spends.get(`${out.txid}:${out.vout}`)) }));
+  };
+
+  const getAddressOutputs = async (addresses, till) => {
+    const outputsByAddress = new Map();
+    const fees = new Map();
+    for (const address of addresses) {
+      const outputs = await getAddressHistory(address, till, fees);
+      if (outputs.length > 0) outputsByAddress.set(address, outputs);
+    }
+    return { outputsByAddress, limits: [], fees };
+  };
+
+  // Confirmed UTXO sum (funded minus spent outputs), in satoshis
+  const getCurrentBalance = async (address) => {
+    const { chain_stats: stats = {} } = await get(`/address/${address}`);
+    return {
+      rawBalance: (BigInt(stats.funded_txo_sum || 0) - BigInt(stats.spent_txo_sum || 0)).toString(),
+      source: 'Esplora UTXO sum'
+    };
+  };
+
+  return {
+    name: 'esplora',
+    label: 'Esplora transaction history',
+    getBlockNumberByTimestamp,
+    getAddressOutputs,
+    getCurrentBalance
+  };
+}
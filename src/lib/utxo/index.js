@@ -0,0 +1,58 @@
+import { createBitqueryBackend } from './bitquery';
+import { createEsploraBackend } from './esplora';
+import { createElectrumBackend } from './electrum';
+
+// UTXO history backends implement:
+//   name, label
+//   getBlockNumberByTimestamp(timestamp) -> height
+//   getAddressOutputs(addresses, till) -> { outputsByAddress, limits, fees? }
+//                         outputs each address received up to `till` (seconds), as a Map of
+//                         address -> [{ txid, vout, value, blockHeight, timestamp,
+//                                       spentTimestamp, spentTxid, spentBlockHeight }]
+//                         with value in satoshis (BigInt) and the spent fields null while unspent.
+//                         fees optionally maps the txid of each spending transaction to its fee.
+//   getCurrentBalance(address) -> { rawBalance, source }   optional, live balance for verification
+// A network picks one with <CHAIN>_BACKEND (mainnet) or <CHAIN>_<NETWORK>_BACKEND, falling
+// back to its configured `backend` and then to bitquery. <PREFIX>_ESPLORA_URL and
+// <PREFIX>_ELECTRUM_URL override the network's esploraUrl and electrumUrl.
+export const UTXO_BACKENDS = ['bitquery', 'esplora', 'electrum'];
+
+const getEnvPrefix = (chainId, networkId) => (
+  (networkId === 'mainnet' ? chainId : `${chainId}_${networkId}`).toUpperCase()
+);
+
+const getEsploraUrl = (prefix, config) => process.env[`${prefix}_ESPLORA_URL`] || config.esploraUrl;
+
+// Name of the backend the network is configured to use, without checking its settings
+export const getUtxoBackendName = (chainId, networkId, config) => (
+  process.env[`${getEnvPrefix(chainId, networkId)}_BACKEND`] || config.backend || 'bitquery'
+);
+
+export function getUtxoBackend(chainId, networkId, config) {
+  const prefix = getEnvPrefix(chainId, networkId);
+  const name = getUtxoBackendName(chainId, networkId, config);
+
+  switch (name) {
+    case 'bitquery': {
+      if (!config.bitqueryNetwork) throw new Error(`Bitquery does not index ${chainId} ${networkId}; set ${prefix}_BACKEND`);
+      // Bitquery has no live balances; verification reads them from Esplora when one is configured
+      const esploraUrl = getEsploraUrl(prefix, config);
+      return {
+        ...createBitqueryBackend(config.bitqueryNetwork),
+        ...(esploraUrl && { getCurrentBalance: createEsploraBackend(esploraUrl).getCurrentBalance })
+      };
+    }
+    case 'esplora': {
+      const url = getEsploraUrl(prefix, config);
+      if (!url) throw new Error(`${prefix}_ESPLORA_URL is missing`);
+      return createEsploraBackend(url);
+    }
+    case 'electrum': {
+      const url = process.env[`${prefix}_ELECTRUM_URL`] || config.electrumUrl;
+      if (!url) throw new Error(`${prefix}_ELECTRUM_URL is missing`);
+      return createElectrumBackend(url, config);
+    }
+    default:
+      throw new Error(`Unknown backend for ${chainId} ${networkId}: ${name} (expected one of ${UTXO_BACKENDS.join(', ')})`);
+  }
+}
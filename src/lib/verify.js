@@ -0,0 +1,54 @@
+import { ethers } from 'ethers';
+
+// Gaps up to 1/DUST_DIVISOR of the node balance (e.g. one missed fee) count as medium confidence
+const DUST_DIVISOR = 10000n;
+
+const abs = (value) => (value < 0n ? -value : value);
+
+// Replay to the target timestamp and to now in one pass, then compare the "now" point
+// with the node's current balance. A replay that reproduces today's balance is very
+// likely right at the target too; a gap means history is missing or misread.
+export async function getVerifiedBalance(adapter, { address, network, tokenAddress, ts }) {
+  const checkedAt = Math.floor(Date.now() / 1000);
+  const [replayed, current] = await Promise.all([
+    adapter.getReplayedBalances({ address, network, tokenAddress }, [ts, checkedAt]),
+    adapter.getCurrentBalance({ address, network, tokenAddress }).catch(error => ({ error }))
+  ]);
+
+  const [point, nowPoint] = replayed.balances;
+  const { balance, rawBalance, ...extra } = point;
+  const result = {
+    balance,
+    symbol: replayed.symbol,
+    rawBalance,
+    note: replayed.note,
+    ...(replayed.limits && { limits: replayed.limits }),
+    ...extra
+  };
+
+  if (current.error) {
+    console.warn('Balance verification failed:', current.error.message);
+    return {
+      result,
+      verification: { checkedAt, confidence: 'unknown', error: `Could not read the node balance: ${current.error.message}` }
+    };
+  }
+
+  const nodeUnits = BigInt(current.rawBalance);
+  const replayUnits = BigInt(nowPoint.rawBalance);
+  const discrepancy = nodeUnits - replayUnits;
+  const isDust = abs(discrepancy) * DUST_DIVISOR <= abs(nodeUnits);
+
+  return {
+    result,
+    verification: {
+      checkedAt,
+      replayedNow: ethers.formatUnits(replayUnits, current.decimals),
+      nodeBalance: ethers.formatUnits(nodeUnits, current.decimals),
+      discrepancy: ethers.formatUnits(discrepancy, current.decimals),
+      matches: discrepancy === 0n,
+      confidence: discrepancy === 0n ? 'high' : isDust ? 'medium' : 'low',
+      source: current.source
+    }
+  };
+}
@@ -0,0 +1,132 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { validateLookupTarget } from '@/lib/balance';
+
+// Saved wallets, kept in one JSON file at WALLETS_PATH (default data/wallets.json):
+//   { id, label, entity, chain, network, address, tokens, tags }
+// `entity` groups wallets for consolidated reports ("Treasury", "Exchange hot wallets"),
+// `tokens` are the token addresses tracked besides the native balance.
+const FILE_VERSION = 1;
+export const MAX_WALLET_TOKENS = 50;
+
+let book = null; // { filePath, mtimeMs, wallets }
+let writing = Promise.resolve();
+
+const getWalletsPath = () => path.resolve(process.cwd(), process.env.WALLETS_PATH || 'data/wallets.json');
+
+// The snapshot scheduler and the API routes may run in separate module instances, so the
+// file is re-read whenever another one has rewritten it
+async function loadBook() {
+  const filePath = getWalletsPath();
+  let mtimeMs = null;
+  try {
+    mtimeMs = (await fs.stat(filePath)).mtimeMs;
+  } catch {
+    // No saved wallets yet
+  }
+  if (book?.filePath === filePath && book.mtimeMs === mtimeMs) return book;
+
+  let wallets = [];
+  if (mtimeMs !== null) {
+    try {
+      const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      if (data.version === FILE_VERSION && Array.isArray(data.wallets)) wallets = data.wallets;
+    } catch (e) {
+      console.warn(`Ignoring unreadable wallet book ${filePath}:`, e.message);
+    }
+  }
+
+  book = { filePath, mtimeMs, wallets };
+  return book;
+}
+
+// Apply update(book) to the freshly loaded book, one change at a time, and write it when
+// the update reports a change. Resolves to the update's result.
+function updateBook(update) {
+  const run = writing.then(async () => {
+    const current = await loadBook();
+    const { changed, result } = update(current);
+    if (!changed) return result;
+
+    const tmpPath = `${current.filePath}.tmp`;
+    await fs.mkdir(path.dirname(current.filePath), { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify({ version: FILE_VERSION, wallets: current.wallets }, null, 2));
+    await fs.rename(tmpPath, current.filePath);
+    current.mtimeMs = (await fs.stat(current.filePath)).mtimeMs;
+    return result;
+  });
+  writing = run.catch(() => {});
+  return run;
+}
+
+// Array, or text separated as given, as a de-duplicated list of trimmed strings
+const toList = (value, separator) => {
+  const items = Array.isArray(value) ? value : String(value || '').split(separator);
+  return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+};
+
+// Validate a wallet body and normalise it. Returns { error } for bad input.
+export function parseWallet(body) {
+  let { label, entity, chain = 'ethereum', network = 'mainnet', address, tokens, tags } = body || {};
+
+  label = String(label || '').trim();
+  entity = String(entity || '').trim();
+  address = String(address || '').trim();
+  tokens = toList(tokens, /[\s,]+/);
+  tags = toList(tags, ',');
+
+  if (!label || !entity || !address) {
+    return { error: 'Label, Entity and Address are required' };
+  }
+
+  if (tokens.length > MAX_WALLET_TOKENS) {
+    return { error: `At most ${MAX_WALLET_TOKENS} tracked tokens per wallet` };
+  }
+
+  const error = validateLookupTarget({ address, chain, network })
+    || tokens.map(tokenAddress => validateLookupTarget({ address, chain, network, tokenAddress })).find(Boolean);
+  if (error) {
+    return { error };
+  }
+
+  return { wallet: { label, entity, chain, network, address, tokens, tags } };
+}
+
+export async function listWallets() {
+  return (await loadBook()).wallets;
+}
+
+// Entity names with their wallet counts, alphabetically
+export async function listEntities() {
+  const counts = new Map();
+  for (const wallet of await listWallets()) {
+    counts.set(wallet.entity, (counts.get(wallet.entity) || 0) + 1);
+  }
+  return [...counts]
+    .map(([name, walletCount]) => ({ name, walletCount }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Add a wallet, or replace the one with the given id (null when there is none)
+export function saveWallet(wallet, id) {
+  return updateBook(current => {
+    if (id && !current.wallets.some(w => w.id === id)) return { changed: false, result: null };
+
+    const saved = { id: id || randomUUID(), ...wallet };
+    current.wallets = id
+      ? current.wallets.map(w => (w.id === id ? saved : w))
+      : [...current.wallets, saved];
+    return { changed: true, result: saved };
+  });
+}
+
+export function deleteWallet(id) {
+  return updateBook(current => {
+    const remaining = current.wallets.filter(w => w.id !== id);
+    if (remaining.length === current.wallets.length) return { changed: false, result: false };
+
+    current.wallets = remaining;
+    return { changed: true, result: true };
+  });
+}